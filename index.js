@@ -2,150 +2,186 @@
 
 'use strict';
 
-const fs = require('fs-plus');
 const path = require('path');
+const fs = require('fs-plus');
 const program = require('commander');
 const pjson = require('./package.json');
-const cucumber = require('cucumber');
+const parallel = require('./runtime/parallel.js');
+const scaffold = require('./runtime/scaffold.js');
+const runner = require('./runtime/runner.js');
+
+// programmatic API, e.g. require('selenium-cucumber-es6').run({ featureFiles: './features', headless: true })
+module.exports = {
+    run: runner.run
+};
+
+// everything below is the command line interface
+if (require.main !== module) {
+    return;
+}
 
 function collectPaths(value, paths) {
     paths.push(value);
     return paths;
 }
 
-function coerceInt(value, defaultValue) {
-    let int = parseInt(value);
-    if (typeof int === 'number') return int;
-    return defaultValue;
+function coerceInt(value) {
+    let int = Number(value);
+    // anything else is reported by the runner along with the other invalid options
+    return (value !== '' && Number.isInteger(int)) ? int : value;
 }
 
-let config = {
-    environment: 'dev',
-    steps: './step-definitions',
-    pageObjects: './page-objects',
-    sharedObjects: './shared-objects',
-    featureFiles: './features',
-    reports: './reports',
-    browser: 'chrome',
-    browserTeardownStrategy: 'always',
-    timeout: 15000
-};
+/**
+ * returns the value of a command line switch before commander has parsed the arguments
+ * @param {Array<string>} names - short and long names of the switch, e.g. ['-e', '--environment']
+ * @returns {string} the value of the last occurrence of the switch, otherwise undefined
+ */
+function getArgValue(names) {
+    let value;
+
+    process.argv.slice(2).forEach(function (arg, index, args) {
+        let parts = arg.split('=');
+
+        if (names.indexOf(parts[0]) > -1) {
+            value = (parts.length > 1) ? parts.slice(1).join('=') : args[index + 1];
+        }
+    });
+
+    return value;
+}
 
-const configFileName = path.resolve(process.cwd(), 'selenium-cucumber-es6.json');
+// the config file, the selected environment profile and the SCE6_* environment variables provide the defaults of the options below
+let config;
 
-if (fs.isFileSync(configFileName)) {
-    config = Object.assign(config, require(configFileName));
+try {
+    config = runner.loadConfig(getArgValue(['-e', '--environment'])).config;
+}
+catch (err) {
+    // invalid config files and SCE6_* environment variables stop the run before anything starts
+    console.error(err.message);
+    process.exit(1);
 }
 
+// a browsers array in the config runs the suite once per browser (browser matrix)
+const defaultBrowser = Array.isArray(config.browsers) ? config.browsers.join(',') : config.browser;
+
+// set by the --usage switch (commander cannot store it as program.usage, which is one of its methods)
+let usageReport = (config.usage === true);
+
 program
     .version(pjson.version)
     .description(pjson.description)
+    .usage('[options] [init | generate page <name> | generate steps <feature>]')
     .option('-e, --environment <name>', 'name of environment. defaults to ' + config.environment, config.environment)
     .option('-s, --steps <path>', 'path to step definitions. defaults to ' + config.steps, config.steps)
     .option('-p, --pageObjects <path>', 'path to page objects. defaults to ' + config.pageObjects, config.pageObjects)
-    .option('-o, --sharedObjects [paths]', 'path to shared objects (repeatable). defaults to ' + config.sharedObjects, collectPaths, [config.sharedObjects])
-    .option('-b, --browser <path>', 'name of browser to use. defaults to ' + config.browser, config.browser)
+    .option('-o, --sharedObjects [paths]', 'path to shared objects (repeatable). defaults to ' + config.sharedObjects, collectPaths, [].concat(config.sharedObjects))
+    .option('-b, --browser <path>', 'name of browser to use, comma-separated to run on several browsers one after the other. defaults to ' + defaultBrowser, defaultBrowser)
     .option('-k, --browser-teardown <optional>', 'browser teardown strategy after every scenario (always, clear, none). defaults to "always"', config.browserTeardownStrategy)
     .option('-r, --reports <path>', 'output path to save reports. defaults to ' + config.reports, config.reports)
-    .option('-d, --disableLaunchReport [optional]', 'Disables the auto opening the browser with test report')
-    .option('-j, --junit <path>', 'output path to save junit-report.xml defaults to ' + config.reports)
-    .option('-t, --tags <tagName>', 'name of tag to run', collectPaths, [])
+    .option('-d, --disableLaunchReport [optional]', 'Disables the auto opening the browser with test report', config.disableLaunchReport)
+    .option('-j, --junit <path>', 'output path to save junit-report.xml defaults to ' + config.reports, config.junit)
+    .option('-t, --tags <tagName>', 'name of tag to run', collectPaths, [].concat(config.tags || []))
     .option('-f, --featureFiles <paths>', 'comma-separated list of feature files to run or path to directory defaults to ' + config.featureFiles, config.featureFiles)
     .option('-x, --timeOut <n>', 'steps definition timeout in milliseconds. defaults to ' + config.timeout, coerceInt, config.timeout)
-    .option('-n, --noScreenshot [optional]', 'disable auto capturing of screenshots when an error is encountered')
+    .option('-n, --noScreenshot [optional]', 'disable auto capturing of screenshots when an error is encountered (same as --screenshots never)', config.noScreenshot)
+    .option('--screenshots <mode>', 'when to capture screenshots (never, failure, each-step). defaults to ' + config.screenshots, config.screenshots)
+    .option('--screenshotAnimation [optional]', 'stitch the each-step screenshots of every scenario into an animated GIF', config.screenshotAnimation)
+    .option('--accessibilityImpact <level>', 'minimum impact (minor, moderate, serious, critical) of the accessibility violations that fail the accessibility step. defaults to ' + config.accessibilityImpact, config.accessibilityImpact)
     .option('-w, --worldParameters <JSON>', 'JSON object to pass to cucumber-es6 world constructor. defaults to empty', config.worldParameters)
+    .option('-u, --remoteUrl <url>', 'url of a remote selenium server or grid to run the browser on, e.g. http://localhost:4444/wd/hub', config.remoteUrl)
+    .option('--headless [optional]', 'run the built-in browsers without a window', config.headless)
+    .option('--windowSize <WIDTHxHEIGHT>', 'browser window size, e.g. 1280x720. defaults to maximized', config.windowSize)
+    .option('--locale <code>', 'language of the built-in browsers, e.g. de-DE', config.locale)
+    .option('--device <name>', 'device to emulate (e.g. "iPhone X", "Pixel 5" or a device of the config file), other browsers than chrome get a window of its size', config.device)
+    .option('-g, --genericSteps [optional]', 'register the bundled generic steps (open, click, enter, should see)', config.genericSteps)
+    .option('--baselines <path>', 'path to the baseline images used by helpers.matchScreenshot. defaults to ' + config.baselines, config.baselines)
+    .option('--updateBaselines [optional]', 'replace the baseline images with the screenshots taken by helpers.matchScreenshot', config.updateBaselines)
+    .option('--failOnConsoleErrors [optional]', 'fail a step when the browser logs a SEVERE console error', config.failOnConsoleErrors)
+    .option('--performanceMetrics [optional]', 'attach the performance metrics (TTFB, DOMContentLoaded, load, first contentful paint, requests) of every page loaded with helpers.loadPage and summarize them in the HTML report', config.performanceMetrics)
+    .option('--retry <n>', 'number of times to retry failed scenarios with a fresh browser (overridden by @retry(n) tags). defaults to ' + config.retry, coerceInt, config.retry)
+    .option('--dryRun [optional]', 'check the feature files against the step definitions without starting a browser or running any step', config.dryRun)
+    .option('--usage [optional]', 'report step usage (call counts, unused, undefined and ambiguous steps) and unreferenced page object members to the console and usage-report.json')
+    .option('--watch [optional]', 'keep running and re-run the features affected by changes to features, steps, page objects and shared objects', config.watch)
+    .option('--parallel <n>', 'number of worker processes to spread the feature files across. defaults to ' + config.parallel, coerceInt, config.parallel)
+    .on('option:usage', function () {
+        usageReport = true;
+    })
     .parse(process.argv);
 
 program.on('--help', function () {
     console.log('  For more details please visit https://github.com/john-doherty/selenium-cucumber-es6#readme\n');
 });
 
-// store browserName globally (used within world.js to build driver)
-global.browserName = program.browser;
-global.browserTeardownStrategy = program.browserTeardown;
-
-// store Eyes Api globally (used within world.js to set Eyes)
-global.eyesKey = config.eye_key;
+// feature file to write step definition stubs for (generate steps <feature>)
+let generateStepsFor = null;
 
-// used within world.js to import page objects
-global.pageObjectPath = path.resolve(program.pageObjects);
+// scaffolding commands: init, generate page <name> and generate steps <feature>
+try {
 
-// used within world.js to output reports
-global.reportsPath = path.resolve(program.reports);
-if (!fs.existsSync(program.reports)) {
-    fs.makeTreeSync(program.reports);
-}
+    if (program.args[0] === 'init') {
 
-// used within world.js to decide if reports should be generated
-global.disableLaunchReport = (program.disableLaunchReport);
+        scaffold.init(process.cwd(), {
+            steps: program.steps,
+            pageObjects: program.pageObjects,
+            sharedObjects: program.sharedObjects[program.sharedObjects.length - 1],
+            featureFiles: program.featureFiles,
+            reports: program.reports,
+            browser: program.browser,
+            timeout: program.timeOut,
+            environment: program.environment
+        }).forEach(function (item) {
+            console.log((item.created ? 'created ' : 'exists  ') + path.relative(process.cwd(), item.path));
+        });
 
-// used with world.js to determine if a screenshot should be captured on error
-global.noScreenshot = (program.noScreenshot);
-
-// used within world.js to output junit reports
-global.junitPath = path.resolve(program.junit || program.reports);
+        return;
+    }
 
-// set the default timeout to 10 seconds if not already globally defined or passed via the command line
-global.DEFAULT_TIMEOUT = global.DEFAULT_TIMEOUT || program.timeOut || 10 * 1000;
+    if (program.args[0] === 'generate') {
 
-// used within world.js to import shared objects into the shared namespace
-global.sharedObjectPaths = program.sharedObjects.map(function (item) {
-    return path.resolve(item);
-});
+        let type = program.args[1];
+        let name = program.args[2];
 
-// rewrite command line switches for cucumber
-process.argv.splice(2, 100);
+        if (type === 'page') {
 
-// allow specific feature files to be executed
-if (program.featureFiles) {
-    let splitFeatureFiles = program.featureFiles.split(',');
+            console.log('created ' + path.relative(process.cwd(), scaffold.generatePage(path.resolve(program.pageObjects), name)));
 
-    splitFeatureFiles.forEach(function (feature) {
-        process.argv.push(feature);
-    });
-}
+            return;
+        }
 
-// add switch to tell cucumber to produce json and junit report files
-process.argv.push('-f');
-process.argv.push('node_modules/cucumber-pretty');
-process.argv.push('-f');
-process.argv.push('json:' + path.resolve(__dirname, global.reportsPath, 'cucumber-report.json'));
-process.argv.push('-f');
-process.argv.push('node_modules/cucumber-junit-formatter:' + path.resolve(__dirname, global.reportsPath, 'junit-report.xml'));
+        if (type !== 'steps' || !name) {
+            throw new Error('Unknown command "' + program.args.join(' ') + '", use generate page <name> or generate steps <feature>');
+        }
 
+        // cucumber finds no scenarios (rather than failing) when the feature file does not exist
+        if (!fs.isFileSync(path.resolve(name.replace(/(:\d+)+$/, '')))) {
+            throw new Error('Could not find feature file: ' + name);
+        }
 
-// add cucumber world as first required script (this sets up the globals)
-process.argv.push('-r');
-process.argv.push(path.resolve(__dirname, 'runtime/world.js'));
-
-// add path to import step definitions
-process.argv.push('-r');
-process.argv.push(path.resolve(program.steps));
-
-// add tag
-if (program.tags) {
-    program.tags.forEach(function (tag) {
-        process.argv.push('-t');
-        process.argv.push(tag);
-    });
+        // the undefined steps are found by a dry run of the feature with the usage report
+        generateStepsFor = name;
+        program.featureFiles = name;
+        program.dryRun = true;
+        usageReport = true;
+    }
 }
-
-if (program.worldParameters){
-    process.argv.push('--world-parameters');
-    process.argv.push(program.worldParameters);
+catch (err) {
+    console.error(err.message);
+    process.exit(1);
 }
 
-// add strict option (fail if there are any undefined or pending steps)
-process.argv.push('-S');
-
-//
-// execute cucumber
-//
-let cucumberCli = new cucumber.Cli({argv : process.argv, cwd: process.cwd(), stdout: process.stdout});
+let options = program.opts();
 
-global.cucumber = cucumber;
+// the version and usage methods of commander are not options
+delete options.version;
+options.usage = usageReport;
 
-cucumberCli.run(function (succeeded) {
+/**
+ * exits the process once stdout has been flushed
+ * @param {boolean} succeeded - true if all scenarios passed
+ * @returns {void}
+ */
+function exitWhenFlushed(succeeded) {
 
     let code = succeeded ? 0 : 1;
 
@@ -160,4 +196,36 @@ cucumberCli.run(function (succeeded) {
         // write() returned false, kernel buffer is not empty yet...
         process.stdout.on('drain', exitNow);
     }
-});
+}
+
+if (program.watch && !process.env[parallel.WORKER_ENV_KEY]) {
+
+    // keep running, re-running the features affected by every change
+    runner.watch(options);
+}
+else {
+
+    // the original arguments are passed on to the matrix and parallel processes
+    runner.run(options, process.argv.slice(2)).then(function (result) {
+
+        let succeeded = result.success;
+
+        if (generateStepsFor) {
+
+            let stepsResult = scaffold.generateSteps(path.resolve(program.reports, 'usage-report.json'), path.resolve(program.steps), generateStepsFor);
+
+            console.log((stepsResult.steps > 0) ? 'wrote ' + stepsResult.steps + ' step definition stub(s) to ' + path.relative(process.cwd(), stepsResult.path) : 'no undefined steps in ' + generateStepsFor);
+
+            // the undefined steps fail the dry run, ambiguous steps still fail the command
+            succeeded = succeeded || stepsResult.ambiguous === 0;
+        }
+
+        // workers report back to the main process through their exit code
+        exitWhenFlushed(succeeded);
+    }).catch(function (err) {
+
+        // invalid options and config files are reported like the config errors above, other errors with their stack trace
+        console.error(err.invalidSettings ? err.message : err);
+        exitWhenFlushed(false);
+    });
+}
@@ -14,9 +14,7 @@ module.exports = {
      */
     preformSearch: function (searchQuery) {
 
-        var selector = page.googleSearch.elements.searchInput;
-
         // return a promise so the calling function knows the task has completed
-        return driver.findElement(selector).sendKeys(searchQuery, selenium.Key.ENTER);
+        return page.googleSearch.elements.searchInput.type(searchQuery, selenium.Key.ENTER);
     }
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * accessibility.js runs axe-core audits within the browser (used by helpers.auditAccessibility)
+ * and formats the violations it finds for the reports
+ */
+
+const fs = require('fs-plus');
+const diagnostics = require('./diagnostics.js');
+
+// axe-core impact levels, least severe first
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+// bundled axe-core source, read the first time it is injected
+let axeSource = null;
+
+// runs axe within the page and returns the violations trimmed down to what the reports need
+const RUN_AXE = function (context, options, callback) {
+
+    window.axe.run(context || document, options || {}).then(function (results) {
+        callback({
+            violations: results.violations.map(function (violation) {
+                return {
+                    id: violation.id,
+                    impact: violation.impact,
+                    help: violation.help,
+                    helpUrl: violation.helpUrl,
+                    nodes: violation.nodes.map(function (node) {
+                        return { target: node.target, failureSummary: node.failureSummary };
+                    })
+                };
+            })
+        });
+    }, function (err) {
+        callback({ error: err.message || String(err) });
+    });
+};
+
+/**
+ * returns the position of an impact level, unknown levels are treated as the least severe
+ * @param {string} impact - impact level
+ * @returns {integer} position within IMPACT_LEVELS
+ */
+function getImpactIndex(impact) {
+    return Math.max(IMPACT_LEVELS.indexOf(impact), 0);
+}
+
+/**
+ * pads text with spaces to a given length
+ * @param {string} text - text to pad
+ * @param {integer} length - length of the padded text
+ * @returns {string} padded text
+ */
+function pad(text, length) {
+    text = String(text);
+
+    return text + new Array(Math.max(length - text.length, 0) + 1).join(' ');
+}
+
+module.exports = {
+
+    IMPACT_LEVELS: IMPACT_LEVELS,
+
+    /**
+     * injects axe-core into the current page (unless already present) and audits it
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {object} context - axe context, e.g. { include: [['#main']], exclude: [['.ads']] }
+     * @param {object} options - axe run options, e.g. { runOnly: { type: 'rule', values: ['image-alt'] } }
+     * @returns {Promise} resolves with the list of violations, rejects if axe fails
+     */
+    audit: async function (driver, context, options) {
+
+        let isInjected = await driver.executeScript('return !!window.axe;');
+
+        if (!isInjected) {
+            axeSource = axeSource || fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+            await driver.executeScript(axeSource);
+        }
+
+        let result = await driver.executeAsyncScript(RUN_AXE, context, options);
+
+        if (result.error) {
+            throw new Error('Accessibility audit failed: ' + result.error);
+        }
+
+        return result.violations;
+    },
+
+    /**
+     * returns the violations at or above an impact level
+     * @param {Array<object>} violations - axe violations
+     * @param {string} [impact] - minimum impact level (minor, moderate, serious, critical). defaults to minor
+     * @returns {Array<object>} violations at or above the impact level
+     */
+    filterByImpact: function (violations, impact) {
+
+        if (impact && IMPACT_LEVELS.indexOf(impact) < 0) {
+            throw new Error('Unknown impact "' + impact + '", available impacts: ' + IMPACT_LEVELS.join(', '));
+        }
+
+        let minimum = getImpactIndex(impact);
+
+        return violations.filter(function (violation) {
+            return getImpactIndex(violation.impact) >= minimum;
+        });
+    },
+
+    /**
+     * formats violations as a text table (one row per rule followed by the elements that break it)
+     * @param {string} url - url of the audited page
+     * @param {Array<object>} violations - axe violations
+     * @returns {string} formatted violations, HTML escaped so they can be attached to the report
+     */
+    formatViolations: function (url, violations) {
+
+        let lines = [
+            'Accessibility violations on ' + url,
+            pad('Impact', 10) + pad('Rule', 30) + pad('Elements', 10) + 'Description'
+        ];
+
+        violations.forEach(function (violation) {
+
+            lines.push(pad(violation.impact, 10) + pad(violation.id, 30) + pad(violation.nodes.length, 10) + violation.help);
+
+            violation.nodes.forEach(function (node) {
+                lines.push(pad('', 10) + '- ' + node.target.join(' '));
+            });
+
+            lines.push(pad('', 10) + violation.helpUrl);
+        });
+
+        return diagnostics.escapeHtml(lines.join('\n'));
+    },
+
+    /**
+     * aggregates the audits of a run into a summary shown in the HTML report
+     * @param {Array<{url: string, violations: Array<object>}>} audits - audits of the run
+     * @returns {object} { audits, pages, violations, impacts, rules } impacts and rules are violation counts
+     */
+    summarize: function (audits) {
+
+        let summary = { audits: audits.length, pages: 0, violations: 0, impacts: {}, rules: {} };
+        let urls = {};
+
+        audits.forEach(function (audit) {
+
+            urls[audit.url] = true;
+
+            audit.violations.forEach(function (violation) {
+                summary.violations++;
+                summary.impacts[violation.impact] = (summary.impacts[violation.impact] || 0) + 1;
+                summary.rules[violation.id] = (summary.rules[violation.id] || 0) + 1;
+            });
+        });
+
+        summary.pages = Object.keys(urls).length;
+
+        return summary;
+    }
+};
@@ -1,25 +1,71 @@
 'use strict';
 
-var chromedriver = require('chromedriver');
+// adds the chromedriver binary to the PATH
+require('chromedriver');
 var selenium = require('selenium-webdriver');
+var chrome = require('selenium-webdriver/chrome');
 
 /**
  * Creates a Selenium WebDriver using Chrome as the browser
+ * @param {object} [browserOptions] - launch options
+ * @param {boolean} [browserOptions.headless] - run chrome without a window
+ * @param {{width: number, height: number}} [browserOptions.windowSize] - window size, defaults to maximized
+ * @param {Array<string>} [browserOptions.args] - extra command line arguments
+ * @param {object} [browserOptions.prefs] - chrome user preferences
+ * @param {string} [browserOptions.binary] - path to the chrome binary
+ * @param {object} [browserOptions.mobileEmulation] - device to emulate, e.g. { deviceMetrics: { width, height, pixelRatio, touch }, userAgent }
  * @returns {ThenableWebDriver} selenium web driver
  */
-module.exports = function() {
-
-    var driver = new selenium.Builder().withCapabilities({
-        browserName: 'chrome',
-        javascriptEnabled: true,
-        acceptSslCerts: true,
-        chromeOptions: {
-            args: ['start-maximized', 'disable-extensions']
-        },
-        path: chromedriver.path
-    }).build();
-
-    driver.manage().window().maximize();
+module.exports = function(browserOptions) {
+
+    var settings = browserOptions || {};
+    var options = new chrome.Options();
+
+    options.addArguments('disable-extensions');
+    options.addArguments(settings.args || []);
+
+    if (settings.headless) {
+        options.headless();
+    }
+
+    if (settings.windowSize) {
+        options.windowSize(settings.windowSize);
+    }
+    else {
+        options.addArguments('start-maximized');
+    }
+
+    if (settings.prefs) {
+        options.setUserPreferences(settings.prefs);
+    }
+
+    if (settings.binary) {
+        options.setChromeBinaryPath(settings.binary);
+    }
+
+    if (settings.mobileEmulation) {
+        options.setMobileEmulation(settings.mobileEmulation);
+    }
+
+    // collect the whole browser console log (attached to the report when a scenario fails)
+    var loggingPrefs = new selenium.logging.Preferences();
+    loggingPrefs.setLevel(selenium.logging.Type.BROWSER, selenium.logging.Level.ALL);
+    options.setLoggingPrefs(loggingPrefs);
+
+    var driver = new selenium.Builder()
+        .withCapabilities({
+            javascriptEnabled: true,
+            acceptSslCerts: true,
+            'goog:loggingPrefs': { browser: 'ALL' }
+        })
+        .forBrowser('chrome')
+        .setChromeOptions(options)
+        .build();
+
+    // a headless browser has no screen to maximize to
+    if (!settings.windowSize && !settings.headless) {
+        driver.manage().window().maximize();
+    }
 
     return driver;
 };
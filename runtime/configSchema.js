@@ -0,0 +1,355 @@
+'use strict';
+
+/**
+ * configSchema.js lists every config setting with its type, checks the settings of the config file (and of the
+ * environment profiles) and reads the SCE6_* environment variables overriding them, e.g. SCE6_BROWSER=firefox,
+ * SCE6_TIMEOUT=30000, SCE6_HEADLESS=true, SCE6_BROWSERS=chrome,firefox or SCE6_FAILURE_CAPTURE={"pageSource":false}
+ *
+ * Types are string, boolean, integer, array or object (several types separated with |), a list of values
+ * for settings with a fixed set of values, or a nested schema for objects with known keys.
+ */
+
+const accessibility = require('./accessibility.js');
+
+// prefix of the environment variables overriding the config settings
+const ENV_PREFIX = 'SCE6_';
+
+const SCHEMA = {
+    environment: 'string',
+    environments: 'object',
+    steps: 'string',
+    pageObjects: 'string',
+    sharedObjects: 'string|array',
+    featureFiles: 'string|array',
+    reports: 'string',
+    junit: 'string',
+    baselines: 'string',
+    updateBaselines: 'boolean',
+    browser: 'string',
+    browsers: 'array',
+    browserTeardownStrategy: ['always', 'clear', 'none'],
+    browserOptions: 'object',
+    headless: 'boolean',
+    windowSize: 'string',
+    locale: 'string',
+    device: 'string',
+    devices: 'object',
+    remoteUrl: 'string',
+    capabilities: 'object',
+    tags: 'string|array',
+    timeout: 'integer',
+    parallel: 'integer',
+    retry: 'integer',
+    screenshots: ['never', 'failure', 'each-step'],
+    screenshotAnimation: 'boolean',
+    noScreenshot: 'boolean',
+    failureCapture: {
+        screenshot: 'boolean',
+        url: 'boolean',
+        consoleLog: 'boolean',
+        networkErrors: 'boolean',
+        pageSource: 'boolean',
+        downloads: 'boolean'
+    },
+    failOnConsoleErrors: 'boolean',
+    performanceMetrics: 'boolean',
+    accessibilityImpact: accessibility.IMPACT_LEVELS,
+    worldParameters: 'object|string',
+    genericSteps: 'boolean',
+    mockServer: 'object',
+    disableLaunchReport: 'boolean',
+    dryRun: 'boolean',
+    usage: 'boolean',
+    watch: 'boolean',
+    eye_key: 'string'
+};
+
+// environment profiles override the settings above (other than the environments) and hold the values of the
+// environment: its baseUrl, credentials and any other value under params, e.g. env.params.apiUrl
+const PROFILE_SCHEMA = Object.assign({}, SCHEMA, {
+    baseUrl: 'string',
+    credentials: 'object',
+    params: 'object'
+});
+
+delete PROFILE_SCHEMA.environment;
+delete PROFILE_SCHEMA.environments;
+
+/**
+ * returns the type of a value as used by the schema
+ * @param {*} value - value to check
+ * @returns {string} string, boolean, integer, number, array, object or null
+ */
+function getType(value) {
+
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+
+    return typeof value;
+}
+
+/**
+ * describes the type expected by a schema entry
+ * @param {(string|Array|object)} type - schema entry
+ * @returns {string} description, e.g. one of always, clear, none
+ */
+function describeType(type) {
+
+    if (Array.isArray(type)) return 'one of ' + type.join(', ');
+    if (typeof type === 'object') return 'an object';
+
+    return type.split('|').map(function (name) {
+        return (/^[aeiou]/.test(name) ? 'an ' : 'a ') + name;
+    }).join(' or ');
+}
+
+/**
+ * returns true if a value matches a schema entry (nested schemas are checked by validateSettings)
+ * @param {*} value - value to check
+ * @param {(string|Array|object)} type - schema entry
+ * @returns {boolean} true if valid
+ */
+function isValid(value, type) {
+
+    if (Array.isArray(type)) return type.indexOf(value) > -1;
+    if (typeof type === 'object') return getType(value) === 'object';
+
+    return type.split('|').indexOf(getType(value)) > -1;
+}
+
+/**
+ * returns the number of single character edits turning a string into another (Levenshtein distance)
+ * @param {string} a - first string
+ * @param {string} b - second string
+ * @returns {number} distance
+ */
+function getDistance(a, b) {
+
+    let previous = [];
+
+    for (let j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+
+        let current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * returns the known setting closest to an unknown one (e.g. browserTeardown for browserTeardownStrategy)
+ * @param {string} key - unknown setting
+ * @param {Array<string>} keys - known settings
+ * @returns {string} closest setting, otherwise undefined
+ */
+function findSimilarKey(key, keys) {
+
+    let name = key.toLowerCase();
+
+    if (name.length < 4) return undefined;
+
+    // a different case first, then a shortened setting, then a setting with extra characters, then a typo
+    return keys.find(function (item) {
+        return item.toLowerCase() === name;
+    }) || keys.find(function (item) {
+        return item.toLowerCase().indexOf(name) === 0;
+    }) || keys.filter(function (item) {
+        return name.indexOf(item.toLowerCase()) === 0;
+    }).sort(function (a, b) {
+        return b.length - a.length;
+    })[0] || keys.find(function (item) {
+        return getDistance(name, item.toLowerCase()) <= 2;
+    });
+}
+
+/**
+ * checks settings against a schema
+ * @param {object} settings - settings to check
+ * @param {object} schema - schema of the settings
+ * @param {string} prefix - path of the settings, e.g. environments.staging.
+ * @returns {Array<string>} errors, empty if valid
+ */
+function validateSettings(settings, schema, prefix) {
+
+    let errors = [];
+    let keys = Object.keys(schema);
+
+    Object.keys(settings).forEach(function (key) {
+
+        let value = settings[key];
+        let type = schema[key];
+
+        // undefined values are left to the defaults (e.g. computed by a JS config file)
+        if (value === undefined) return;
+
+        if (!type) {
+
+            let similarKey = findSimilarKey(key, keys);
+
+            errors.push('unknown setting "' + prefix + key + '"' + (similarKey ? ', did you mean "' + prefix + similarKey + '"?' : ''));
+            return;
+        }
+
+        if (!isValid(value, type)) {
+            errors.push('"' + prefix + key + '" must be ' + describeType(type) + ', got ' + JSON.stringify(value));
+            return;
+        }
+
+        if (typeof type === 'object' && !Array.isArray(type)) {
+            errors = errors.concat(validateSettings(value, type, prefix + key + '.'));
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * converts a config setting name to the name of its environment variable, e.g. browserTeardownStrategy to SCE6_BROWSER_TEARDOWN_STRATEGY
+ * @param {string} key - config setting
+ * @returns {string} environment variable name
+ */
+function toEnvName(key) {
+    return ENV_PREFIX + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * converts the value of an environment variable to the type of its setting
+ * @param {string} value - value of the environment variable
+ * @param {(string|Array|object)} type - schema entry of the setting
+ * @returns {*} converted value, left as a string if it cannot be converted (reported by the validation)
+ */
+function parseEnvValue(value, type) {
+
+    let types = (typeof type === 'string') ? type.split('|') : [];
+    let text = value.trim();
+
+    if (typeof type === 'object' || (types.indexOf('object') > -1 && text[0] === '{') || (types.indexOf('array') > -1 && text[0] === '[')) {
+        try {
+            return JSON.parse(text);
+        }
+        catch (err) {
+            return value;
+        }
+    }
+
+    if (types.indexOf('boolean') > -1) {
+        if (['true', '1', 'yes'].indexOf(text.toLowerCase()) > -1) return true;
+        if (['false', '0', 'no'].indexOf(text.toLowerCase()) > -1) return false;
+    }
+
+    if (types.indexOf('integer') > -1 && /^-?\d+$/.test(text)) {
+        return parseInt(text);
+    }
+
+    // comma-separated lists, e.g. SCE6_BROWSERS=chrome,firefox (tags may also be a single tag expression)
+    if (types[0] === 'array') {
+        return text.split(',').map(function (item) {
+            return item.trim();
+        }).filter(Boolean);
+    }
+
+    return value;
+}
+
+module.exports = {
+
+    ENV_PREFIX: ENV_PREFIX,
+
+    SCHEMA: SCHEMA,
+
+    toEnvName: toEnvName,
+
+    /**
+     * checks the settings of a config, throwing an error listing every unknown setting and invalid value
+     * @param {object} config - config settings
+     * @param {string} source - where the settings come from, e.g. selenium-cucumber-es6.json
+     * @returns {object} the config
+     */
+    validate: function (config, source) {
+
+        if (getType(config) !== 'object') {
+            throw new Error('Invalid configuration in ' + source + ': expected an object, got ' + JSON.stringify(config));
+        }
+
+        let errors = validateSettings(config, SCHEMA, '');
+
+        // environment profiles can override any setting and hold the values of the environment (baseUrl, credentials and params)
+        if (getType(config.environments) === 'object') {
+            Object.keys(config.environments).forEach(function (name) {
+
+                let profile = config.environments[name];
+
+                if (getType(profile) !== 'object') {
+                    errors.push('"environments.' + name + '" must be an object, got ' + JSON.stringify(profile));
+                    return;
+                }
+
+                errors = errors.concat(validateSettings(profile, PROFILE_SCHEMA, 'environments.' + name + '.'));
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new Error('Invalid configuration in ' + source + ':\n  - ' + errors.join('\n  - '));
+        }
+
+        return config;
+    },
+
+    /**
+     * returns the config settings set with SCE6_* environment variables, throwing an error for unknown
+     * variables and invalid values
+     * @param {object} env - environment variables, e.g. process.env
+     * @returns {object} config settings
+     */
+    readEnvironmentVariables: function (env) {
+
+        let settings = {};
+        let errors = [];
+        let envNames = {};
+
+        Object.keys(SCHEMA).forEach(function (key) {
+            envNames[toEnvName(key)] = key;
+        });
+
+        Object.keys(env).forEach(function (name) {
+
+            if (name.indexOf(ENV_PREFIX) !== 0) return;
+
+            let key = envNames[name];
+
+            if (!key) {
+                let similarName = findSimilarKey(name, Object.keys(envNames));
+
+                errors.push('unknown environment variable ' + name + (similarName ? ', did you mean ' + similarName + '?' : ''));
+                return;
+            }
+
+            settings[key] = parseEnvValue(env[name], SCHEMA[key]);
+
+            if (!isValid(settings[key], SCHEMA[key])) {
+                errors.push(name + ' must be ' + describeType(SCHEMA[key]) + ', got ' + JSON.stringify(env[name]));
+                return;
+            }
+
+            if (typeof SCHEMA[key] === 'object' && !Array.isArray(SCHEMA[key])) {
+                errors = errors.concat(validateSettings(settings[key], SCHEMA[key], name + '.'));
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error('Invalid configuration in environment variables:\n  - ' + errors.join('\n  - '));
+        }
+
+        return settings;
+    }
+};
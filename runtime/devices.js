@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * devices.js holds the device profiles used to test responsive layouts (selected with --device, the device config
+ * option or a @device(name) scenario tag). Chrome emulates the device (viewport, pixel ratio, touch and user agent),
+ * other browsers fall back to a window of the size of the device.
+ *
+ * Custom profiles can be added with a devices section in the config file, e.g.
+ *      "devices": { "Kiosk": { "width": 1080, "height": 1920, "deviceScaleFactor": 1, "mobile": false, "userAgent": "..." } }
+ */
+
+// built-in device profiles, sizes are in CSS pixels
+const DEVICES = {
+    'iPhone SE': {
+        width: 375,
+        height: 667,
+        deviceScaleFactor: 2,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 13_2_3 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.0.3 Mobile/15E148 Safari/604.1'
+    },
+    'iPhone X': {
+        width: 375,
+        height: 812,
+        deviceScaleFactor: 3,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 11_0 like Mac OS X) AppleWebKit/604.1.38 (KHTML, like Gecko) Version/11.0 Mobile/15A372 Safari/604.1'
+    },
+    'iPhone 12': {
+        width: 390,
+        height: 844,
+        deviceScaleFactor: 3,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0.3 Mobile/15E148 Safari/604.1'
+    },
+    'Pixel 5': {
+        width: 393,
+        height: 851,
+        deviceScaleFactor: 2.75,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (Linux; Android 11; Pixel 5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.91 Mobile Safari/537.36'
+    },
+    'Galaxy S9+': {
+        width: 320,
+        height: 658,
+        deviceScaleFactor: 4.5,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (Linux; Android 8.0.0; SM-G965U Build/R16NW) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/63.0.3239.111 Mobile Safari/537.36'
+    },
+    'iPad': {
+        width: 768,
+        height: 1024,
+        deviceScaleFactor: 2,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 11_0 like Mac OS X) AppleWebKit/604.1.34 (KHTML, like Gecko) Version/11.0 Mobile/15A5341f Safari/604.1'
+    },
+    'iPad Pro': {
+        width: 1024,
+        height: 1366,
+        deviceScaleFactor: 2,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 11_0 like Mac OS X) AppleWebKit/604.1.34 (KHTML, like Gecko) Version/11.0 Mobile/15A5341f Safari/604.1'
+    }
+};
+
+module.exports = {
+
+    DEVICES: DEVICES,
+
+    /**
+     * returns a device profile by name (case insensitive), custom profiles take precedence over the built-in ones
+     * @param {string} name - name of the device, e.g. iPhone X
+     * @param {object} [customDevices] - custom profiles keyed by name (devices section of the config file)
+     * @returns {{name: string, width: number, height: number, deviceScaleFactor: number, mobile: boolean, userAgent: string}} device profile
+     */
+    getDevice: function (name, customDevices) {
+
+        let profiles = Object.assign({}, DEVICES, customDevices);
+
+        let key = Object.keys(profiles).find(function (item) {
+            return item.toLowerCase() === String(name).trim().toLowerCase();
+        });
+
+        if (!key) {
+            throw new Error('Unknown device "' + name + '", available devices: ' + Object.keys(profiles).join(', '));
+        }
+
+        let device = Object.assign({ deviceScaleFactor: 1, mobile: false }, profiles[key], { name: key });
+
+        if (!(device.width > 0) || !(device.height > 0)) {
+            throw new Error('Device "' + key + '" requires a width and a height');
+        }
+
+        return device;
+    },
+
+    /**
+     * returns the chrome mobile emulation settings of a device
+     * @param {object} device - device profile
+     * @returns {object} chromedriver mobileEmulation option
+     */
+    toMobileEmulation: function (device) {
+
+        let settings = {
+            deviceMetrics: {
+                width: device.width,
+                height: device.height,
+                pixelRatio: device.deviceScaleFactor,
+                touch: device.mobile
+            }
+        };
+
+        if (device.userAgent) {
+            settings.userAgent = device.userAgent;
+        }
+
+        return settings;
+    },
+
+    /**
+     * describes a device for the reports
+     * @param {object} device - device profile
+     * @param {boolean} emulated - true if the browser emulates the device, false if only the window was resized
+     * @returns {string} description, e.g. iPhone X (375x812, pixel ratio 3, emulated)
+     */
+    describe: function (device, emulated) {
+        return device.name + ' (' + device.width + 'x' + device.height + ', pixel ratio ' + device.deviceScaleFactor + ', ' +
+            (emulated ? 'emulated' : 'window size only') + ')';
+    }
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * diagnostics.js collects information about the state of the browser used to diagnose failed scenarios
+ */
+
+const { logging } = require('selenium-webdriver');
+
+// browser log messages logged by chrome when a request fails or returns an error status
+const NETWORK_ERROR = /Failed to load resource|net::ERR_/;
+
+module.exports = {
+
+    /**
+     * reads (and empties) the browser console log. Only supported by chrome based browsers
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @returns {Promise} resolves with a list of { level, message, timestamp }, or null if not supported
+     */
+    readBrowserLogs: async function (driver) {
+
+        let entries;
+
+        try {
+            entries = await driver.manage().logs().get(logging.Type.BROWSER);
+        }
+        catch (err) {
+            return null;
+        }
+
+        return entries.map(function (entry) {
+            return {
+                level: entry.level.name,
+                message: entry.message,
+                timestamp: entry.timestamp
+            };
+        });
+    },
+
+    /**
+     * returns true if a browser log entry is a severe error
+     * @param {object} entry - browser log entry
+     * @returns {boolean} true if severe
+     */
+    isSevere: function (entry) {
+        return entry.level === logging.Level.SEVERE.name;
+    },
+
+    /**
+     * returns true if a browser log entry reports a failed network request
+     * @param {object} entry - browser log entry
+     * @returns {boolean} true if a failed network request
+     */
+    isNetworkError: function (entry) {
+        return NETWORK_ERROR.test(entry.message);
+    },
+
+    /**
+     * formats browser log entries as text, one entry per line
+     * @param {Array<object>} entries - browser log entries
+     * @returns {string} formatted log
+     */
+    formatLogEntries: function (entries) {
+        return entries.map(function (entry) {
+            return new Date(entry.timestamp).toISOString() + ' [' + entry.level + '] ' + entry.message;
+        }).join('\n');
+    },
+
+    /**
+     * escapes HTML so it can be attached to the report as text (the HTML report does not escape attachments)
+     * @param {string} text - text to escape
+     * @returns {string} escaped text
+     */
+    escapeHtml: function (text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    },
+
+    /**
+     * renders labelled PNG images side by side as HTML, to attach several images to the same step
+     * (the HTML report only shows the last image attached to a step)
+     * @param {Array<{label: string, image: (Buffer|string)}>} images - PNG images, strings are base64
+     * @returns {string} HTML
+     */
+    renderImages: function (images) {
+
+        let html = images.map(function (item) {
+
+            let data = Buffer.isBuffer(item.image) ? item.image.toString('base64') : item.image;
+
+            return '<figure style="display:inline-block;vertical-align:top;margin:0 8px 8px 0;max-width:32%">' +
+                '<img src="data:image/png;base64,' + data + '" style="width:100%">' +
+                '<figcaption>' + module.exports.escapeHtml(item.label) + '</figcaption></figure>';
+        }).join('');
+
+        return '<div>' + html + '</div>';
+    }
+};
@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * downloads.js gives every built-in chrome and firefox browser its own download folder within the reports folder
+ * (set through the browser prefs) and waits for the files downloaded by a scenario (used by helpers.waitForDownload).
+ * The folder of a browser kept open for the next scenario is emptied, so that scenario gets the same file names
+ * (browsers rename a download such as orders.csv to orders (1).csv when the folder already holds one). The downloads
+ * of failed scenarios are moved to a sub folder first, so they are kept until the next run.
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const diagnostics = require('./diagnostics.js');
+
+// folder of the reports holding the download folder of every browser
+const DOWNLOADS_FOLDER = 'downloads';
+
+// files written by the browsers while downloading
+const PARTIAL_FILE = /\.(crdownload|part|tmp)$/i;
+
+// downloaded files attached as text to failed scenarios, larger files are only listed
+const TEXT_FILE = /\.(csv|tsv|txt|json|xml|html?|ics|md|log)$/i;
+const MAX_ATTACHED_SIZE = 100 * 1024;
+
+// mime types firefox saves without asking
+const FIREFOX_SAVE_TYPES = [
+    'text/csv', 'application/csv', 'text/plain', 'application/json', 'application/xml', 'text/xml', 'application/pdf',
+    'application/zip', 'application/octet-stream', 'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// download folder of every driver, with the files returned by waitForFile during the scenario and the number of
+// failed scenarios whose downloads were kept
+const folders = new WeakMap();
+
+// keeps the folders of the browsers started within the same millisecond apart
+let folderCount = 0;
+
+/**
+ * returns the download folder of a driver
+ * @param {ThenableWebDriver} driver - selenium web driver
+ * @returns {{directory: string, returned: Array<string>, failedCount: integer}} download folder
+ */
+function getFolder(driver) {
+
+    let folder = folders.get(driver);
+
+    if (!folder) {
+        throw new Error('Downloads are only available in the built-in chrome and firefox browsers');
+    }
+
+    return folder;
+}
+
+/**
+ * returns the files downloaded to a folder since the start of the scenario
+ * @param {{directory: string}} folder - download folder
+ * @returns {Array<string>} file names, including the downloads in progress
+ */
+function listScenarioFiles(folder) {
+
+    if (!fs.isDirectorySync(folder.directory)) return [];
+
+    return fs.readdirSync(folder.directory).filter(function (name) {
+        return fs.isFileSync(path.resolve(folder.directory, name));
+    }).sort();
+}
+
+/**
+ * returns the completed downloads of the scenario not returned by waitForFile yet
+ * @param {{directory: string, returned: Array<string>}} folder - download folder
+ * @returns {Array<string>} file names
+ */
+function listNewFiles(folder) {
+
+    return listCompletedFiles(folder).filter(function (name) {
+        return folder.returned.indexOf(name) < 0;
+    });
+}
+
+/**
+ * returns the completed downloads of the scenario
+ * @param {{directory: string}} folder - download folder
+ * @returns {Array<string>} file names
+ */
+function listCompletedFiles(folder) {
+
+    let names = listScenarioFiles(folder);
+
+    return names.filter(function (name) {
+
+        // firefox creates the file once the download starts and writes to a .part file until it completes
+        return !PARTIAL_FILE.test(name) && names.indexOf(name + '.part') < 0;
+    });
+}
+
+/**
+ * converts a file name pattern into a regular expression, * and ? are wildcards in strings
+ * @param {(string|RegExp)} pattern - file name, glob such as *.csv or regular expression
+ * @returns {RegExp} regular expression matching the whole file name
+ */
+function toRegExp(pattern) {
+
+    if (pattern instanceof RegExp) return pattern;
+
+    let source = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+
+    return new RegExp('^' + source + '$', 'i');
+}
+
+module.exports = {
+
+    DOWNLOADS_FOLDER: DOWNLOADS_FOLDER,
+
+    /**
+     * creates a download folder for a new browser
+     * @param {string} reportsPath - reports folder
+     * @returns {string} absolute path of the folder
+     */
+    createDirectory: function (reportsPath) {
+
+        let directory = path.resolve(reportsPath, DOWNLOADS_FOLDER, 'browser-' + process.pid + '-' + Date.now() + '-' + (++folderCount));
+
+        fs.makeTreeSync(directory);
+
+        return directory;
+    },
+
+    /**
+     * returns the prefs making a browser save downloads to a folder without asking
+     * @param {string} name - name of the browser (chrome or firefox)
+     * @param {string} directory - download folder
+     * @returns {object} chrome user preferences or firefox profile preferences
+     */
+    getBrowserPrefs: function (name, directory) {
+
+        if (name === 'firefox') {
+            return {
+                'browser.download.folderList': 2,
+                'browser.download.dir': directory,
+                'browser.download.useDownloadDir': true,
+                'browser.download.manager.showWhenStarting': false,
+                'browser.helperApps.neverAsk.saveToDisk': FIREFOX_SAVE_TYPES.join(','),
+                // download PDF files rather than opening them in the built-in viewer
+                'pdfjs.disabled': true
+            };
+        }
+
+        return {
+            'download.default_directory': directory,
+            'download.prompt_for_download': false,
+            'download.directory_upgrade': true,
+            'plugins.always_open_pdf_externally': true
+        };
+    },
+
+    /**
+     * records the download folder of a driver
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {string} directory - download folder given to the browser
+     * @returns {void}
+     */
+    register: function (driver, directory) {
+        folders.set(driver, { directory: directory, returned: [], failedCount: 0 });
+    },
+
+    /**
+     * empties the download folder of a browser kept open for the next scenario, the sub folders holding the downloads
+     * of failed scenarios are kept
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @returns {void}
+     */
+    reset: function (driver) {
+
+        let folder = folders.get(driver);
+
+        if (folder) {
+            listScenarioFiles(folder).forEach(function (name) {
+                fs.removeSync(path.resolve(folder.directory, name));
+            });
+
+            folder.returned = [];
+        }
+    },
+
+    /**
+     * waits for a browser to finish downloading a file matching a pattern, each file is only returned once
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {(string|RegExp)} pattern - file name, glob such as *.csv or regular expression
+     * @param {number} timeout - milliseconds to wait for the file
+     * @returns {Promise} resolves with { path, name, size, contents } contents is a Buffer
+     */
+    waitForFile: async function (driver, pattern, timeout) {
+
+        let folder = getFolder(driver);
+        let regExp = toRegExp(pattern);
+        let end = Date.now() + timeout;
+        let name;
+
+        for (;;) {
+            name = listNewFiles(folder).find(function (item) {
+                return regExp.test(item);
+            });
+
+            if (name || Date.now() >= end) break;
+
+            await new Promise(function (resolve) {
+                setTimeout(resolve, 100);
+            });
+        }
+
+        if (!name) {
+            let files = listScenarioFiles(folder);
+
+            throw new Error('No download matching ' + pattern + ' after ' + timeout + ' milliseconds' +
+                ((files.length > 0) ? ', downloaded files: ' + files.join(', ') : ''));
+        }
+
+        let file = path.resolve(folder.directory, name);
+        let contents = fs.readFileSync(file);
+
+        folder.returned.push(name);
+
+        return { path: file, name: name, size: contents.length, contents: contents };
+    },
+
+    /**
+     * moves the files downloaded by a failed scenario to a sub folder of the download folder (failed-1, failed-2 etc),
+     * so they are kept when the browser is kept open for the next scenario, and describes them
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @returns {string} paths and sizes of the files followed by the contents of the small text files (HTML escaped),
+     * empty if the browser has no download folder or downloaded nothing
+     */
+    keepFiles: function (driver) {
+
+        let folder = folders.get(driver);
+
+        if (!folder) return '';
+
+        let completed = listCompletedFiles(folder);
+        let keptDirectory = path.resolve(folder.directory, 'failed-' + (folder.failedCount + 1));
+        let lines = [];
+
+        if (completed.length > 0) {
+            folder.failedCount++;
+            fs.makeTreeSync(keptDirectory);
+        }
+
+        listScenarioFiles(folder).forEach(function (name) {
+
+            let file = path.resolve(folder.directory, name);
+
+            // downloads in progress are left to the browser
+            if (completed.indexOf(name) > -1) {
+                fs.moveSync(file, path.resolve(keptDirectory, name));
+                file = path.resolve(keptDirectory, name);
+            }
+
+            let size = fs.statSync(file).size;
+
+            lines.push(file + ' (' + size + ' bytes' + ((completed.indexOf(name) < 0) ? ', incomplete' : '') + ')');
+
+            if (TEXT_FILE.test(name) && size <= MAX_ATTACHED_SIZE) {
+                lines.push(fs.readFileSync(file, 'utf8'), '');
+            }
+        });
+
+        return (lines.length > 0) ? diagnostics.escapeHtml(lines.join('\n')) : '';
+    },
+
+    /**
+     * removes the downloads of previous runs
+     * @param {string} reportsPath - reports folder
+     * @returns {void}
+     */
+    removeDirectories: function (reportsPath) {
+        fs.removeSync(path.resolve(reportsPath, DOWNLOADS_FOLDER));
+    },
+
+    /**
+     * removes the download folders the browsers of the run left empty
+     * @param {string} reportsPath - reports folder
+     * @returns {void}
+     */
+    removeEmptyDirectories: function (reportsPath) {
+
+        let root = path.resolve(reportsPath, DOWNLOADS_FOLDER);
+
+        if (!fs.isDirectorySync(root)) return;
+
+        fs.readdirSync(root).forEach(function (name) {
+
+            let directory = path.resolve(root, name);
+
+            if (fs.isDirectorySync(directory) && fs.readdirSync(directory).length === 0) {
+                fs.removeSync(directory);
+            }
+        });
+
+        if (fs.readdirSync(root).length === 0) {
+            fs.removeSync(root);
+        }
+    }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * driverConfig.js works out the browser configuration of a scenario: the global options (--browser, --device,
+ * --windowSize, --locale and --browser-teardown) overridden by the tags of the scenario (or of its feature):
+ *  - @browser(firefox) runs the scenario on another browser
+ *  - @device(iPhone X) emulates a device
+ *  - @windowSize(1280x720) sets the size of the window
+ *  - @locale(de-DE) sets the language of the browser
+ *  - @freshBrowser starts the scenario in a new browser and closes it afterwards
+ *  - @keepBrowser keeps the browser open after the scenario, for the next scenario using the same configuration
+ */
+
+const devices = require('./devices.js');
+
+// tags with a value, e.g. @browser(firefox)
+const VALUE_TAG = /^@(browser|device|windowSize|locale)\((.+)\)$/;
+
+/**
+ * converts a window size in the format WIDTHxHEIGHT into an object
+ * @param {string} value - window size, e.g. 1280x720
+ * @returns {{width: number, height: number}} window size, otherwise undefined
+ */
+function parseWindowSize(value) {
+    let match = /^(\d+)x(\d+)$/i.exec(String(value || '').trim());
+
+    if (!match) return undefined;
+
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+module.exports = {
+
+    parseWindowSize: parseWindowSize,
+
+    /**
+     * returns the browser configuration of a scenario
+     * @param {Array<string>} tags - tag names of the scenario
+     * @param {object} defaults - global options { browser, device, windowSize, locale, teardown, customDevices }
+     * @returns {{browser: string, device: object, windowSize: object, locale: string, teardown: string, fresh: boolean}} configuration
+     */
+    getScenarioConfig: function (tags, defaults) {
+
+        let config = {
+            browser: defaults.browser,
+            device: defaults.device || null,
+            windowSize: defaults.windowSize || null,
+            locale: defaults.locale || null,
+            teardown: defaults.teardown,
+            fresh: false
+        };
+
+        tags.forEach(function (tag) {
+
+            let match = VALUE_TAG.exec(tag);
+            let value = (match) ? match[2].trim() : null;
+
+            switch (match ? match[1] : tag) {
+
+                case 'browser':
+                    config.browser = value;
+                    break;
+
+                case 'device':
+                    config.device = devices.getDevice(value, defaults.customDevices);
+                    break;
+
+                case 'windowSize':
+                    config.windowSize = parseWindowSize(value);
+
+                    if (!config.windowSize) {
+                        throw new Error('Invalid window size "' + value + '" in ' + tag + ', use WIDTHxHEIGHT e.g. @windowSize(1280x720)');
+                    }
+                    break;
+
+                case 'locale':
+                    config.locale = value;
+                    break;
+
+                case '@freshBrowser':
+                    config.fresh = true;
+                    config.teardown = 'always';
+                    break;
+
+                case '@keepBrowser':
+                    config.teardown = 'none';
+                    break;
+            }
+        });
+
+        return config;
+    },
+
+    /**
+     * returns true if a browser started for one configuration can be reused by another
+     * @param {object} current - configuration of the open browser
+     * @param {object} requested - configuration requested by the scenario
+     * @returns {boolean} true if both use the same browser, device, window size and locale
+     */
+    isSameBrowser: function (current, requested) {
+
+        function getDeviceName(config) {
+            return (config.device) ? config.device.name : null;
+        }
+
+        function getWindowSize(config) {
+            return (config.windowSize) ? config.windowSize.width + 'x' + config.windowSize.height : null;
+        }
+
+        return !!current && current.browser === requested.browser &&
+            getDeviceName(current) === getDeviceName(requested) &&
+            getWindowSize(current) === getWindowSize(requested) &&
+            current.locale === requested.locale;
+    }
+};
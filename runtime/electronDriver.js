@@ -1,22 +1,43 @@
 'use strict';
 
 var selenium = require('selenium-webdriver');
+var chrome = require('selenium-webdriver/chrome');
 var path = require('path');
 
 var myapp = path.resolve(process.cwd(), 'MyApp.app/Contents/MacOS/MyApp');
 /**
- * Creates a Selenium WebDriver using Firefox as the browser
+ * Creates a Selenium WebDriver using Electron as the browser
+ * @param {object} [browserOptions] - launch options
+ * @param {boolean} [browserOptions.headless] - run the app without a window
+ * @param {{width: number, height: number}} [browserOptions.windowSize] - window size
+ * @param {Array<string>} [browserOptions.args] - extra command line arguments
+ * @param {object} [browserOptions.prefs] - chrome user preferences
+ * @param {string} [browserOptions.binary] - path to your Electron binary, defaults to ./MyApp.app
  * @returns {ThenableWebDriver} selenium web driver
  */
-module.exports = function () {
+module.exports = function (browserOptions) {
+
+    var settings = browserOptions || {};
+    var options = new chrome.Options();
+
+    // Here is the path to your Electron binary.
+    options.setChromeBinaryPath(settings.binary || myapp);
+    options.addArguments(settings.args || []);
+
+    if (settings.headless) {
+        options.headless();
+    }
+
+    if (settings.windowSize) {
+        options.windowSize(settings.windowSize);
+    }
+
+    if (settings.prefs) {
+        options.setUserPreferences(settings.prefs);
+    }
 
     var driver = new selenium.Builder()
-        .withCapabilities({
-            chromeOptions: {
-                // Here is the path to your Electron binary.
-                binary: myapp
-            }
-        })
+        .withCapabilities(options.toCapabilities())
         .forBrowser('electron')
         .build();
 
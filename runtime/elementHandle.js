@@ -0,0 +1,188 @@
+'use strict';
+
+const { By, until, error } = require('selenium-webdriver');
+
+// number of times an action is retried when the element goes stale (e.g. re-rendered) mid-action
+const STALE_RETRIES = 3;
+
+/**
+ * A lazy handle to an element described in a page object's elements map.
+ * The element is only looked up when an action is performed, waiting up to DEFAULT_TIMEOUT for it to
+ * be present (or visible when interacting with it). Stale elements are looked up again automatically.
+ *
+ * The handle exposes `using` and `value` like a selenium locator, so it can still be passed to
+ * driver.findElement(), until.elementLocated() etc.
+ *
+ * @example
+ *      await page.googleSearch.elements.searchInput.type('selenium', Key.ENTER);
+ *      let title = await page.googleSearch.elements.searchResultLink.text();
+ */
+class ElementHandle {
+
+    /**
+     * @param {(string|By)} locator - css selector or selenium locator
+     * @param {string} [name] - name of the element (its key within the elements map), used within error messages
+     */
+    constructor(locator, name) {
+        this.locator = (typeof locator === 'string') ? By.css(locator) : locator;
+        this.name = name || String(this.locator);
+
+        // selenium reads the using and value of the handle when it is passed as a locator
+        if (!(this.locator instanceof By)) {
+            throw new Error(this.name + ' must be a css selector or a By locator to be used as an element handle');
+        }
+
+        this.using = this.locator.using;
+        this.value = this.locator.value;
+    }
+
+    /**
+     * the css selector of the element (null if the element uses another kind of locator)
+     * @returns {string} css selector
+     */
+    get selector() {
+        return (this.using === 'css selector') ? this.value : null;
+    }
+
+    /**
+     * waits for the element to be present
+     * @returns {Promise<WebElement>} resolves with the element, otherwise rejects after DEFAULT_TIMEOUT
+     */
+    find() {
+        return driver.wait(until.elementLocated(this.locator), DEFAULT_TIMEOUT,
+            this.name + ' is not present after ' + DEFAULT_TIMEOUT + ' milliseconds');
+    }
+
+    /**
+     * waits for the element to be present and visible
+     * @returns {Promise<WebElement>} resolves with the element, otherwise rejects after DEFAULT_TIMEOUT
+     */
+    async findVisible() {
+        let el = await this.find();
+
+        return driver.wait(until.elementIsVisible(el), DEFAULT_TIMEOUT,
+            this.name + ' is not visible after ' + DEFAULT_TIMEOUT + ' milliseconds');
+    }
+
+    /**
+     * waits for at least one matching element to be present
+     * @returns {Promise<Array<WebElement>>} resolves with all matching elements
+     */
+    all() {
+        return driver.wait(until.elementsLocated(this.locator), DEFAULT_TIMEOUT,
+            this.name + ' is not present after ' + DEFAULT_TIMEOUT + ' milliseconds');
+    }
+
+    /**
+     * clicks the element once visible
+     * @returns {Promise} resolves once clicked
+     */
+    click() {
+        return this.retryIfStale(async () => {
+            let el = await this.findVisible();
+            return el.click();
+        });
+    }
+
+    /**
+     * types into the element once visible
+     * @param {...(string|Key)} keys - keys to type
+     * @returns {Promise} resolves once typed
+     */
+    type(...keys) {
+        return this.retryIfStale(async () => {
+            let el = await this.findVisible();
+            return el.sendKeys(...keys);
+        });
+    }
+
+    /**
+     * returns the visible text of the element once present
+     * @returns {Promise<string>} the text of the element
+     */
+    text() {
+        return this.retryIfStale(async () => {
+            let el = await this.find();
+            return el.getText();
+        });
+    }
+
+    /**
+     * returns whether the element is currently visible, without waiting
+     * @returns {Promise<boolean>} true if present and visible, otherwise false
+     */
+    isVisible() {
+        return this.retryIfStale(async () => {
+            let elements = await driver.findElements(this.locator);
+            return (elements.length > 0) ? elements[0].isDisplayed() : false;
+        });
+    }
+
+    /**
+     * executes an action, executing it again if the element went stale
+     * @param {Function} action - async function looking up the element and acting on it
+     * @returns {Promise} resolves with the result of the action
+     */
+    async retryIfStale(action) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await action();
+            }
+            catch (err) {
+                if (!(err instanceof error.StaleElementReferenceError) || attempt >= STALE_RETRIES) {
+                    throw err;
+                }
+            }
+        }
+    }
+
+    /**
+     * the css selector of the element, so handles can still be used where a selector string was expected
+     * (e.g. by.css(el) or concatenated into a selector). Other locators return their description
+     * @returns {string} css selector or locator description
+     */
+    toString() {
+        return this.selector || String(this.locator);
+    }
+
+    /**
+     * serializes the handle as its css selector, as selenium does when a handle is given to by.css(el)
+     * @returns {string} css selector or locator description
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * wraps every locator of a page object elements map into an element handle (nested maps are wrapped recursively).
+ * Function locators are left as they are, as selenium cannot read a locator from a handle wrapping them
+ * @param {object} elements - elements map, values are css selectors or selenium locators
+ * @returns {object} elements map of element handles
+ */
+ElementHandle.wrapElements = function (elements) {
+
+    let handles = {};
+
+    Object.keys(elements).forEach(function (key) {
+
+        let locator = elements[key];
+
+        if (locator instanceof ElementHandle) {
+            handles[key] = locator;
+        }
+        else if (typeof locator === 'string' || locator instanceof By) {
+            handles[key] = new ElementHandle(locator, key);
+        }
+        else if (locator && typeof locator === 'object') {
+            handles[key] = ElementHandle.wrapElements(locator);
+        }
+        else {
+            handles[key] = locator;
+        }
+    });
+
+    return handles;
+};
+
+module.exports = ElementHandle;
@@ -0,0 +1,387 @@
+'use strict';
+
+/**
+ * externalExamples.js expands the rows of CSV, JSON and YAML data files into the Examples of Scenario Outlines.
+ * A @data(path/to/file) tag placed on an Examples block (or on a Scenario Outline) is replaced by the rows of the file
+ * before cucumber parses the feature, so every row becomes a scenario in the output and the reports.
+ * Rows are filtered by environment, either with an env column or by keying the data by environment name.
+ * The lines of the feature file keep their line numbers, the rows read from data files are numbered after its last line.
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const yaml = require('js-yaml');
+const parseCsv = require('csv-parse/lib/sync');
+const cucumberHelpers = require('cucumber/lib/cli/helpers');
+
+const DATA_TAG = /@data\(([^)]+)\)/;
+const EXAMPLES_LINE = /^(\s*)(Examples|Scenarios):/;
+const OUTLINE_LINE = /^(\s*)(Scenario Outline|Scenario Template):/;
+
+// lines that end a Scenario Outline
+const BLOCK_LINE = /^\s*(Feature|Rule|Background|Scenario|Scenario Outline|Scenario Template|Example):/;
+
+// column used to restrict rows to some environments (comma-separated names, empty for all environments)
+const ENV_COLUMN = 'env';
+
+// name of the environment the rows are filtered by, set by install()
+let selectedEnvironment = null;
+
+/**
+ * reads the rows of a data file
+ * @param {string} dataFile - path of a .csv, .json, .yml or .yaml file
+ * @returns {(Array<object>|object)} list of rows, or rows keyed by environment name
+ */
+function readDataFile(dataFile) {
+
+    if (!fs.isFileSync(dataFile)) {
+        throw new Error('Could not find data file: ' + dataFile);
+    }
+
+    let content = fs.readFileSync(dataFile, 'utf8');
+
+    switch (path.extname(dataFile).toLowerCase()) {
+
+        case '.csv':
+            return parseCsv(content, { columns: true, skip_empty_lines: true, trim: true });
+
+        case '.json':
+            return JSON.parse(content);
+
+        case '.yml':
+        case '.yaml':
+            return yaml.safeLoad(content);
+
+        default:
+            throw new Error('Unsupported data file (use .csv, .json, .yml or .yaml): ' + dataFile);
+    }
+}
+
+/**
+ * returns the rows of a data file that apply to an environment
+ * @param {(Array<object>|object)} data - list of rows, or rows keyed by environment name
+ * @param {string} environment - name of the selected environment
+ * @returns {Array<object>} rows
+ */
+function getEnvironmentRows(data, environment) {
+
+    let rows = Array.isArray(data) ? data : (data || {})[environment] || [];
+
+    return rows.filter(function (row) {
+
+        let environments = String(row[ENV_COLUMN] || '').split(',').map(function (name) {
+            return name.trim();
+        }).filter(Boolean);
+
+        return environments.length === 0 || environments.indexOf(environment) > -1;
+    });
+}
+
+/**
+ * formats a list of values as a gherkin table row
+ * @param {string} indent - indentation of the row
+ * @param {Array} values - cell values
+ * @returns {string} table row
+ */
+function formatRow(indent, values) {
+
+    return indent + '| ' + values.map(function (value) {
+
+        if (value === undefined || value === null) {
+            value = '';
+        }
+        else if (typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+
+        return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+    }).join(' | ') + ' |';
+}
+
+/**
+ * returns the cells of a gherkin table row
+ * @param {string} line - table row
+ * @returns {Array<string>} cell values
+ */
+function parseRow(line) {
+
+    let text = line.trim().replace(/^\|/, '');
+    let cells = [];
+    let cell = '';
+
+    // cells are separated by pipes that are not escaped (\|)
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+            cell += text[i] + text[++i];
+        }
+        else if (text[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        }
+        else {
+            cell += text[i];
+        }
+    }
+
+    // the closing pipe is optional
+    if (cell.trim()) {
+        cells.push(cell.trim());
+    }
+
+    return cells;
+}
+
+/**
+ * builds the table rows of an Examples block from the rows of a data file
+ * @param {Array<object>} rows - data rows
+ * @param {Array<string>} columns - columns to include, all columns except env if null
+ * @param {string} indent - indentation of the rows
+ * @returns {Array<string>} table rows, including the header row unless columns were provided
+ */
+function buildTable(rows, columns, indent) {
+
+    let header = columns;
+
+    if (!header) {
+        header = [];
+
+        rows.forEach(function (row) {
+            Object.keys(row).forEach(function (key) {
+                if (key !== ENV_COLUMN && header.indexOf(key) < 0) {
+                    header.push(key);
+                }
+            });
+        });
+    }
+
+    let lines = rows.map(function (row) {
+        return formatRow(indent, header.map(function (column) {
+            return row[column];
+        }));
+    });
+
+    return columns ? lines : [formatRow(indent, header)].concat(lines);
+}
+
+/**
+ * returns the index of the line a Scenario Outline ends on (its last non-blank line before the next block and its tags)
+ * @param {Array<string>} lines - lines of the feature file
+ * @param {integer} start - index of the Scenario Outline line
+ * @returns {integer} index of the last line of the outline
+ */
+function findOutlineEnd(lines, start) {
+
+    let end = lines.length - 1;
+
+    for (let i = start + 1; i < lines.length; i++) {
+        if (BLOCK_LINE.test(lines[i]) && !EXAMPLES_LINE.test(lines[i])) {
+            end = i - 1;
+            break;
+        }
+    }
+
+    // tags, comments and blank lines right before the next block belong to it
+    while (end > start && /^\s*(@|#|$)/.test(lines[end])) {
+        end--;
+    }
+
+    return end;
+}
+
+/**
+ * sets the line numbers of the locations within a parsed feature back to the lines of the feature file
+ * @param {object} data - gherkin document, pickle or any object containing locations ({ line, column })
+ * @param {Array<integer>} lineNumbers - line number within the feature file of every line of the expanded feature
+ * @param {WeakSet} mapped - locations already mapped (pickles are emitted several times)
+ * @returns {void}
+ */
+function mapLocations(data, lineNumbers, mapped) {
+
+    if (!data || typeof data !== 'object' || mapped.has(data)) return;
+
+    mapped.add(data);
+
+    if (typeof data.line === 'number' && typeof data.column === 'number') {
+        data.line = lineNumbers[data.line - 1] || data.line;
+    }
+
+    Object.keys(data).forEach(function (key) {
+        mapLocations(data[key], lineNumbers, mapped);
+    });
+}
+
+/**
+ * parses an expanded feature file into test cases, the same way cucumber does, with the line numbers of the feature file
+ * @param {object} options - options of cucumber's getTestCases, source being the expanded feature
+ * @param {Array<integer>} lineNumbers - line number within the feature file of every line of the expanded feature
+ * @returns {Promise} resolves with the test cases
+ */
+async function getTestCases(options, lineNumbers) {
+
+    let mapped = new WeakSet();
+
+    // the documents and pickles are mapped as they are emitted, before cucumber filters the pickles by line
+    let eventBroadcaster = {
+        emit: function (type, data) {
+            mapLocations(data, lineNumbers, mapped);
+            return options.eventBroadcaster.emit(type, data);
+        }
+    };
+
+    try {
+        return await cucumberHelpers.getTestCases(Object.assign({}, options, { eventBroadcaster: eventBroadcaster }));
+    }
+    catch (err) {
+        // parse errors, e.g. (12:3): expected: ...
+        err.message = err.message.replace(/\((\d+):(\d+)\)/g, function (match, line, column) {
+            return '(' + (lineNumbers[line - 1] || line) + ':' + column + ')';
+        });
+
+        throw err;
+    }
+}
+
+module.exports = {
+
+    /**
+     * replaces the @data(file) tags of a feature file with the rows of the data files
+     * @param {string} source - content of the feature file
+     * @param {string} featurePath - path of the feature file, data files are resolved relative to it
+     * @param {string} environment - name of the selected environment, used to filter rows
+     * @returns {string} the expanded feature file
+     */
+    expandSource: function (source, featurePath, environment) {
+        return module.exports.expandFeature(source, featurePath, environment).source;
+    },
+
+    /**
+     * replaces the @data(file) tags of a feature file with the rows of the data files, keeping track of the line
+     * numbers within the feature file: the rows added are numbered after its last line
+     * @param {string} source - content of the feature file
+     * @param {string} featurePath - path of the feature file, data files are resolved relative to it
+     * @param {string} environment - name of the selected environment, used to filter rows
+     * @returns {{source: string, lineNumbers: Array<integer>}} the expanded feature file and the line number
+     * within the feature file of each of its lines
+     */
+    expandFeature: function (source, featurePath, environment) {
+
+        let lines = source.split(/\r?\n/);
+        let insertions = [];
+
+        lines.forEach(function (line, index) {
+
+            if (!/^\s*@/.test(line) || !DATA_TAG.test(line)) return;
+
+            let dataFile = path.resolve(path.dirname(featurePath), DATA_TAG.exec(line)[1].trim());
+
+            // the tags apply to the next line that is not a tag, comment or blank line
+            let target = index + 1;
+
+            while (target < lines.length && /^\s*(@|#|$)/.test(lines[target])) {
+                target++;
+            }
+
+            let rows = getEnvironmentRows(readDataFile(dataFile), environment);
+            let examplesMatch = EXAMPLES_LINE.exec(lines[target] || '');
+            let outlineMatch = OUTLINE_LINE.exec(lines[target] || '');
+
+            if (rows.length === 0) {
+                console.warn('No rows in ' + dataFile + ' for the "' + environment + '" environment');
+            }
+
+            if (examplesMatch) {
+
+                let indent = examplesMatch[1] + '  ';
+                let headerIndex = target + 1;
+
+                while (headerIndex < lines.length && /^\s*(#|$)/.test(lines[headerIndex])) {
+                    headerIndex++;
+                }
+
+                // an existing header row selects the columns used
+                if (/^\s*\|/.test(lines[headerIndex] || '')) {
+                    insertions.push({ after: headerIndex, lines: buildTable(rows, parseRow(lines[headerIndex]), indent) });
+                }
+                else if (rows.length > 0) {
+                    insertions.push({ after: target, lines: buildTable(rows, null, indent) });
+                }
+            }
+            else if (outlineMatch) {
+
+                let indent = outlineMatch[1] + '  ';
+
+                if (rows.length > 0) {
+                    insertions.push({
+                        after: findOutlineEnd(lines, target),
+                        lines: ['', indent + 'Examples: ' + path.basename(dataFile)].concat(buildTable(rows, null, indent + '  '))
+                    });
+                }
+            }
+            else {
+                throw new Error('@data tags can only be used on a Scenario Outline or Examples (' + featurePath + ':' + (index + 1) + ')');
+            }
+        });
+
+        let expanded = [];
+        let lineNumbers = [];
+        let addedCount = 0;
+
+        lines.forEach(function (line, index) {
+
+            expanded.push(line);
+            lineNumbers.push(index + 1);
+
+            insertions.filter(function (insertion) {
+                return insertion.after === index;
+            }).forEach(function (insertion) {
+                insertion.lines.forEach(function (added) {
+                    expanded.push(added);
+                    lineNumbers.push(lines.length + (++addedCount));
+                });
+            });
+        });
+
+        return { source: expanded.join('\n'), lineNumbers: lineNumbers };
+    },
+
+    /**
+     * makes cucumber expand @data(file) tags when it reads the feature files. cucumber does not provide a way
+     * to preprocess feature files, so the function it uses to read them is replaced
+     * @param {string} environment - name of the selected environment, used to filter rows
+     * @returns {void}
+     */
+    install: function (environment) {
+
+        let expandFeature = module.exports.expandFeature;
+
+        // runs within the same process may select another environment
+        selectedEnvironment = environment;
+
+        if (cucumberHelpers.getTestCasesFromFilesystem.externalExamplesInstalled) return;
+
+        cucumberHelpers.getTestCasesFromFilesystem = async function (options) {
+
+            let result = [];
+
+            for (let i = 0; i < options.featurePaths.length; i++) {
+
+                let featurePath = options.featurePaths[i];
+                let feature = expandFeature(fs.readFileSync(featurePath, 'utf8'), featurePath, selectedEnvironment);
+
+                result = result.concat(await getTestCases({
+                    eventBroadcaster: options.eventBroadcaster,
+                    language: options.featureDefaultLanguage,
+                    source: feature.source,
+                    pickleFilter: options.pickleFilter,
+                    uri: path.relative(options.cwd, featurePath)
+                }, feature.lineNumbers));
+            }
+
+            cucumberHelpers.orderTestCases(result, options.order);
+
+            return result;
+        };
+
+        cucumberHelpers.getTestCasesFromFilesystem.externalExamplesInstalled = true;
+    }
+};
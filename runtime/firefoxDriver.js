@@ -1,22 +1,62 @@
 'use strict';
 
-var firefox = require('geckodriver');
+// adds the geckodriver binary to the PATH
+require('geckodriver');
 var selenium = require('selenium-webdriver');
+var firefox = require('selenium-webdriver/firefox');
 
 /**
  * Creates a Selenium WebDriver using Firefox as the browser
+ * @param {object} [browserOptions] - launch options
+ * @param {boolean} [browserOptions.headless] - run firefox without a window
+ * @param {{width: number, height: number}} [browserOptions.windowSize] - window size, defaults to maximized
+ * @param {Array<string>} [browserOptions.args] - extra command line arguments
+ * @param {object} [browserOptions.prefs] - firefox profile preferences
+ * @param {string} [browserOptions.binary] - path to the firefox binary
  * @returns {ThenableWebDriver} selenium web driver
  */
-module.exports = function() {
+module.exports = function(browserOptions) {
 
-    var driver = new selenium.Builder().withCapabilities({
-        browserName: 'firefox',
-        javascriptEnabled: true,
-        acceptSslCerts: true,
-        'webdriver.firefox.bin': firefox.path
-    }).build();
+    var settings = browserOptions || {};
+    var options = new firefox.Options();
 
-    driver.manage().window().maximize();
+    options.addArguments(settings.args || []);
+
+    if (settings.headless) {
+        options.headless();
+    }
+
+    if (settings.windowSize) {
+        options.windowSize(settings.windowSize);
+    }
+
+    if (settings.prefs) {
+        var profile = new firefox.Profile();
+
+        Object.keys(settings.prefs).forEach(function(key) {
+            profile.setPreference(key, settings.prefs[key]);
+        });
+
+        options.setProfile(profile);
+    }
+
+    if (settings.binary) {
+        options.setBinary(settings.binary);
+    }
+
+    var driver = new selenium.Builder()
+        .withCapabilities({
+            javascriptEnabled: true,
+            acceptSslCerts: true
+        })
+        .forBrowser('firefox')
+        .setFirefoxOptions(options)
+        .build();
+
+    // a headless browser has no screen to maximize to
+    if (!settings.windowSize && !settings.headless) {
+        driver.manage().window().maximize();
+    }
 
     return driver;
 };
@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * genericSteps.js is an opt-in library of steps for common browser actions (enabled with --genericSteps)
+ * it is loaded by world.js and relies on the same globals available to any other step definition
+ */
+
+const accessibility = require('./accessibility.js');
+
+// elements considered clickable when clicking by text
+const CLICKABLE_SELECTOR = 'a, button, input[type="button"], input[type="submit"], [role="button"], [role="link"]';
+
+/**
+ * returns a page object by name, sub directories are separated by a dot (e.g. dir.googleSearch)
+ * @param {string} pageName - name of the page object
+ * @returns {object} the page object
+ */
+function getPageObject(pageName) {
+
+    let pageObject = pageName.split('.').reduce(function (obj, key) {
+        return (obj) ? obj[key] : undefined;
+    }, page);
+
+    if (!pageObject) {
+        throw new Error('Could not find page object: ' + pageName);
+    }
+
+    return pageObject;
+}
+
+/**
+ * returns an element handle from the elements map of a page object
+ * @param {string} pageName - name of the page object
+ * @param {string} elementName - key within the elements map
+ * @returns {ElementHandle} lazy element handle
+ */
+function getPageElement(pageName, elementName) {
+
+    let elements = getPageObject(pageName).elements || {};
+    let element = elements[elementName];
+
+    if (!element) {
+        throw new Error('Could not find element "' + elementName + '" on page object: ' + pageName);
+    }
+
+    return element;
+}
+
+/**
+ * returns a locator for a form field matching an id, name, placeholder, aria-label or label text
+ * @param {string} field - field identifier
+ * @returns {By} selenium locator
+ */
+function getFieldLocator(field) {
+
+    // method to execute within the DOM to find form fields
+    function findFields(content) {
+
+        var selector = 'input, textarea, select, [contenteditable="true"]';
+        var results = [];
+        var fields = document.querySelectorAll(selector);
+        var labels = document.querySelectorAll('label');
+        var i, l;
+
+        for (i = 0, l = fields.length; i < l; i++) {
+            var el = fields[i];
+
+            if (el.id === content || el.getAttribute('name') === content ||
+                el.getAttribute('placeholder') === content || el.getAttribute('aria-label') === content) {
+                results.push(el);
+            }
+        }
+
+        for (i = 0, l = labels.length; i < l; i++) {
+            if (labels[i].textContent.trim() === content.trim()) {
+                var control = labels[i].htmlFor ? document.getElementById(labels[i].htmlFor) : labels[i].querySelector(selector);
+
+                if (control) {
+                    results.push(control);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    return by.js(findFields, field);
+}
+
+/**
+ * waits for an element to be located and returns it
+ * @param {By} locator - selenium locator
+ * @param {string} description - used within the timeout message
+ * @returns {Promise} resolves with the element
+ */
+function waitForElement(locator, description) {
+
+    return driver.wait(until.elementLocated(locator), DEFAULT_TIMEOUT, 'Could not find ' + description + ' after ' + DEFAULT_TIMEOUT + ' milliseconds');
+}
+
+/**
+ * clicks the first visible clickable element whose text matches, falls back to clicking hidden elements
+ * @param {string} text - text of the element to click
+ * @returns {Promise} resolves once clicked
+ */
+async function clickByText(text) {
+
+    let elements = await helpers.getElementsContainingText(CLICKABLE_SELECTOR, text);
+
+    for (let i = 0; i < elements.length; i++) {
+        if (await elements[i].isDisplayed()) {
+            return elements[i].click();
+        }
+    }
+
+    if (elements.length === 0) {
+        throw new Error('Could not find a link or button with text: ' + text);
+    }
+
+    // e.g. menu items that only appear on hover
+    return helpers.clickHiddenElement(CLICKABLE_SELECTOR, text);
+}
+
+/**
+ * types a value into a field, clearing any existing value first
+ * @param {WebElement} el - field element
+ * @param {string} value - value to enter
+ * @returns {Promise} resolves once entered
+ */
+async function enterValue(el, value) {
+
+    await el.clear();
+    return el.sendKeys(value);
+}
+
+/**
+ * returns the mock server, which is only started when mock routes are defined
+ * @returns {MockServer} the mock server
+ */
+function getMockServer() {
+
+    if (!mockServer) {
+        throw new Error('The mock server is not running, define mock routes in shared-objects/mocks.js or add a mockServer section to the config file');
+    }
+
+    return mockServer;
+}
+
+Given('I open {string}', function (url) {
+
+    // allow a page object name to be used instead of a url
+    let pageObject = page[url] || null;
+
+    return helpers.loadPage((pageObject && pageObject.url) ? pageObject.url : url);
+});
+
+Given('I open the {string} page', function (pageName) {
+
+    return helpers.loadPage(getPageObject(pageName).url);
+});
+
+When('I click {string}', function (text) {
+
+    return clickByText(text);
+});
+
+When('I click {string} on the {string} page', function (elementName, pageName) {
+
+    return getPageElement(pageName, elementName).click();
+});
+
+When('I enter {string} into {string}', async function (value, field) {
+
+    let el = await waitForElement(getFieldLocator(field), 'field ' + field);
+    return enterValue(el, value);
+});
+
+When('I enter {string} into {string} on the {string} page', async function (value, elementName, pageName) {
+
+    let el = await getPageElement(pageName, elementName).findVisible();
+    return enterValue(el, value);
+});
+
+Then('I should see {string}', function (text) {
+
+    // wait until the visible text of the page contains the text
+    return driver.wait(async function () {
+
+        let body = await driver.findElement(by.css('body'));
+        let bodyText = await body.getText();
+
+        return bodyText.indexOf(text) > -1;
+
+    }, DEFAULT_TIMEOUT, 'Could not see "' + text + '" after ' + DEFAULT_TIMEOUT + ' milliseconds');
+});
+
+Then('I should see {string} on the {string} page', function (elementName, pageName) {
+
+    return getPageElement(pageName, elementName).findVisible();
+});
+
+Then('the page should have no accessibility violations', async function () {
+
+    // violations below the configured impact are still attached to the report by the audit
+    let violations = accessibility.filterByImpact(await helpers.auditAccessibility(), global.accessibilityImpact);
+
+    if (violations.length > 0) {
+        throw new Error(violations.length + ' accessibility violation(s) of ' + global.accessibilityImpact + ' impact or above: ' + violations.map(function (violation) {
+            return violation.id;
+        }).join(', '));
+    }
+});
+
+// e.g. the page should load within 2s (or 1.5 seconds, 800ms)
+Then(/^(?:the )?page should load within (.+)$/, async function (duration) {
+
+    await helpers.assertPerformanceBudget({ load: duration });
+});
+
+Then('the page should meet the performance budget:', async function (table) {
+
+    // one metric per row, e.g. | first contentful paint | 1s |
+    await helpers.assertPerformanceBudget(table.rowsHash());
+});
+
+Given('the mock server responds to {word} {string} with status {int}', function (method, path, status) {
+
+    getMockServer().stub({ method: method, path: path, status: status });
+});
+
+Given('the mock server responds to {word} {string} with:', function (method, path, body) {
+
+    // doc strings containing JSON are returned as JSON
+    let parsedBody;
+
+    try {
+        parsedBody = JSON.parse(body);
+    }
+    catch (err) {
+        parsedBody = body;
+    }
+
+    getMockServer().stub({ method: method, path: path, body: parsedBody });
+});
+
+Then('the mock server should have received {word} {string}', function (method, path) {
+
+    getMockServer().assertReceived(method, path);
+});
+
+Then('the mock server should have received {word} {string} {int} time(s)', function (method, path, times) {
+
+    getMockServer().assertReceived(method, path, times);
+});
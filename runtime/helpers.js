@@ -1,8 +1,115 @@
+const urlResolver = require('url');
+const path = require('path');
+const fs = require('fs-plus');
+const visual = require('./visual.js');
+const accessibility = require('./accessibility.js');
+const performance = require('./performance.js');
+const windows = require('./windows.js');
+const downloads = require('./downloads.js');
+const diagnostics = require('./diagnostics.js');
+
+/**
+ * returns the css selector of a page object element handle or By.css locator, css selector strings are returned unchanged
+ * @param {(string|ElementHandle|By)} selector - css selector, element handle or selenium locator
+ * @returns {string} css selector
+ */
+function toCssSelector(selector) {
+
+    if (selector && typeof selector === 'object' && 'selector' in selector) {
+
+        if (!selector.selector) {
+            throw new Error(selector.name + ' does not use a css selector');
+        }
+
+        return selector.selector;
+    }
+
+    if (selector instanceof by) {
+
+        if (selector.using !== 'css selector') {
+            throw new Error(selector + ' does not use a css selector');
+        }
+
+        return selector.value;
+    }
+
+    return selector;
+}
+
+/**
+ * returns the absolute path of a file to upload, relative paths are looked up in the shared objects folders
+ * and then in the current directory
+ * @param {string} filePath - path of the file
+ * @returns {string} absolute path of the file
+ */
+function resolveUploadPath(filePath) {
+
+    let candidates = (global.sharedObjectPaths || []).map(function (folder) {
+        return path.resolve(folder, filePath);
+    }).concat(path.resolve(filePath));
+
+    let file = candidates.find(function (candidate) {
+        return fs.isFileSync(candidate);
+    });
+
+    if (!file) {
+        throw new Error('Could not find file to upload: ' + filePath + ' (looked for ' + candidates.join(', ') + ')');
+    }
+
+    return file;
+}
+
+/**
+ * runs a function within the window the driver was switched to, then switches back to the window and frames saved before
+ * @param {ThenableWebDriver} browser - selenium web driver
+ * @param {object} saved - window and frames to switch back to (see windows.save)
+ * @param {string} handle - handle of the window switched to
+ * @param {function} [fn] - function to run within the window, the driver stays on the window if omitted
+ * @returns {Promise} resolves with the result of the function, or the handle of the window if there is no function
+ */
+async function runWithinWindow(browser, saved, handle, fn) {
+
+    if (!fn) return handle;
+
+    try {
+        return await fn(handle);
+    }
+    finally {
+        await windows.restore(browser, saved, DEFAULT_TIMEOUT);
+    }
+}
+
+/**
+ * converts one or more css selectors/element handles into an axe-core selector list
+ * @param {(string|ElementHandle|Array)} selectors - css selector(s) or element handle(s)
+ * @returns {Array<Array<string>>} axe-core selector list
+ */
+function toAxeSelectors(selectors) {
+
+    return [].concat(selectors).map(function (selector) {
+        return [toCssSelector(selector)];
+    });
+}
+
 module.exports = {
 
+    /**
+     * resolves a url against the baseUrl of the selected environment, absolute urls are returned unchanged
+     * @param {string} url - relative or absolute url
+     * @returns {string} the resolved url
+     * @example
+     *      helpers.resolveUrl('/login'); // https://staging.example.com/login
+     */
+    resolveUrl: function(url) {
+
+        if (!global.env || !global.env.baseUrl) return url;
+
+        return urlResolver.resolve(global.env.baseUrl, url);
+    },
+
     /**
      * returns a promise that is called when the url has loaded and the body element is present
-     * @param {string} url - url to load
+     * @param {string} url - url to load (relative urls are resolved against the environment baseUrl)
      * @param {integer} waitInSeconds - number of seconds to wait for page to load
      * @returns {Promise} resolved when url has loaded otherwise rejects
      * @example
@@ -14,15 +121,20 @@ module.exports = {
         var timeout = (waitInSeconds) ? (waitInSeconds * 1000) : DEFAULT_TIMEOUT;
 
         // load the url and wait for it to complete
-        await driver.get(url)
+        await driver.get(helpers.resolveUrl(url))
 
         // now wait for the body element to be present
         await driver.wait(until.elementLocated(by.css('body')), timeout);
+
+        // attached to the scenario and summarized in the HTML report when running with --performanceMetrics
+        if (global.performanceMetrics) {
+            await helpers.getPerformanceMetrics(waitInSeconds);
+        }
     },
 
     /**
      * returns the value of an attribute on an element
-     * @param {string} htmlCssSelector - HTML css selector used to find the element
+     * @param {(string|ElementHandle)} htmlCssSelector - HTML css selector used to find the element
      * @param {string} attributeName - attribute name to retrieve
      * @returns {string} the value of the attribute or empty string if not found
      * @example
@@ -31,14 +143,14 @@ module.exports = {
     getAttributeValue: async function (htmlCssSelector, attributeName) {
 
         // get the element from the page
-        let el = await driver.findElement(by.css(htmlCssSelector));
+        let el = await driver.findElement(by.css(toCssSelector(htmlCssSelector)));
         return el.getAttribute(attributeName);
     },
 
     /**
      * returns list of elements matching a query selector who's inner text matches param.
      * WARNING: The element returned might not be visible in the DOM and will therefore have restricted interactions
-     * @param {string} cssSelector - css selector used to get list of elements
+     * @param {(string|ElementHandle)} cssSelector - css selector used to get list of elements
      * @param {string} textToMatch - inner text to match (does not have to be visible)
      * @returns {Promise} resolves with list of elements if query matches, otherwise rejects
      * @example
@@ -67,12 +179,12 @@ module.exports = {
         }
 
         // grab matching elements
-        return driver.findElements(by.js(findElementsContainingText, cssSelector, textToMatch));
+        return driver.findElements(by.js(findElementsContainingText, toCssSelector(cssSelector), textToMatch));
     },
 
     /**
      * returns first elements matching a query selector who's inner text matches textToMatch param
-     * @param {string} cssSelector - css selector used to get list of elements
+     * @param {(string|ElementHandle)} cssSelector - css selector used to get list of elements
      * @param {string} textToMatch - inner text to match (does not have to be visible)
      * @returns {Promise} resolves with first element containing text otherwise rejects
      * @example
@@ -86,7 +198,7 @@ module.exports = {
 
     /**
      * clicks an element (or multiple if present) that is not visible, useful in situations where a menu needs a hover before a child link appears
-     * @param {string} cssSelector - css selector used to locate the elements
+     * @param {(string|ElementHandle)} cssSelector - css selector used to locate the elements
      * @param {string} textToMatch - text to match inner content (if present)
      * @returns {Promise} resolves if element found and clicked, otherwise rejects
      * @example
@@ -120,7 +232,7 @@ module.exports = {
         }
 
         // grab matching elements
-        return driver.findElements(by.js(clickElementInDom, cssSelector, textToMatch));
+        return driver.findElements(by.js(clickElementInDom, toCssSelector(cssSelector), textToMatch));
     },
 
     /**
@@ -213,7 +325,7 @@ module.exports = {
 
     /**
      * Get the content value of a :before pseudo element
-     * @param {string} cssSelector - css selector of element to inspect
+     * @param {(string|ElementHandle)} cssSelector - css selector of element to inspect
      * @returns {Promise} promise object
      * @example
      *      let value = await helpers.getPseudoElementBeforeValue('body header')
@@ -229,12 +341,12 @@ module.exports = {
             return styles ? styles.getPropertyValue('content') : '';
         }
 
-        return driver.executeScript(getBeforeContentValue, cssSelector);
+        return driver.executeScript(getBeforeContentValue, toCssSelector(cssSelector));
     },
 
     /**
      * Get the content value of a :after pseudo element
-     * @param {string} cssSelector - css selector of element to inspect
+     * @param {(string|ElementHandle)} cssSelector - css selector of element to inspect
      * @returns {Promise} promise object
      * @example
      *      let value = await helpers.getPseudoElementAfterValue('body header');
@@ -250,7 +362,148 @@ module.exports = {
             return styles ? styles.getPropertyValue('content') : '';
         }
 
-        return driver.executeScript(getAfterContentValue, cssSelector);
+        return driver.executeScript(getAfterContentValue, toCssSelector(cssSelector));
+    },
+
+    /**
+     * runs a function within a frame (or nested frames), switching back to the previous frame once done even if it fails
+     * @param {(number|string|By|ElementHandle|WebElement|Array)} frame - index, css selector or element of the frame,
+     * or a list of them for nested frames (outermost first)
+     * @param {function} fn - function to run within the frame, can return a promise
+     * @returns {Promise} resolves with the result of the function
+     * @example
+     *      await helpers.withinFrame('iframe#payment', async function () {
+     *          await driver.findElement(by.name('cardNumber')).sendKeys('4111111111111111');
+     *      });
+     */
+    withinFrame: async function(frame, fn) {
+
+        // the driver of the scenario, even if the function switches to another browser session
+        var browser = driver;
+        var saved = await windows.save(browser);
+        var frames = [].concat(frame);
+
+        try {
+            for (var i = 0; i < frames.length; i++) {
+                await windows.enterFrame(browser, frames[i], DEFAULT_TIMEOUT);
+            }
+
+            return await fn();
+        }
+        finally {
+            await windows.restore(browser, saved, DEFAULT_TIMEOUT);
+        }
+    },
+
+    /**
+     * runs an action that opens a new window (or tab) and switches to it. Given a function, runs it within the new
+     * window and switches back to the previous window once done
+     * @param {function} action - opens the window, e.g. by clicking a link with target="_blank"
+     * @param {function} [fn] - function to run within the new window, called with its handle
+     * @returns {Promise} resolves with the result of the function, or the handle of the new window if there is no function
+     * @example
+     *      await helpers.waitForNewWindow(function () {
+     *          return page.home.elements.helpLink.click();
+     *      }, async function () {
+     *          await helpers.loadPage('/help/contact');
+     *      });
+     */
+    waitForNewWindow: async function(action, fn) {
+
+        var browser = driver;
+        var saved = await windows.save(browser, true);
+        var handle = await windows.switchToNewWindow(browser, action, DEFAULT_TIMEOUT);
+
+        return runWithinWindow(browser, saved, handle, fn);
+    },
+
+    /**
+     * switches to the window (or tab) with a title, waiting for it to open. Given a function, runs it within the
+     * window and switches back to the previous window once done
+     * @param {(string|RegExp)} title - title of the window, or a regular expression matching it
+     * @param {function} [fn] - function to run within the window, called with its handle
+     * @returns {Promise} resolves with the result of the function, or the handle of the window if there is no function
+     * @example
+     *      await helpers.switchToWindowByTitle(/Sign in/);
+     */
+    switchToWindowByTitle: async function(title, fn) {
+
+        var browser = driver;
+        var saved = await windows.save(browser, true);
+
+        var handle = await windows.switchToWindow(browser, function (windowTitle) {
+            return (title instanceof RegExp) ? title.test(windowTitle) : windowTitle === title;
+        }, 'title ' + title, DEFAULT_TIMEOUT);
+
+        return runWithinWindow(browser, saved, handle, fn);
+    },
+
+    /**
+     * switches to the window (or tab) whose url contains a string, waiting for it to open. Given a function, runs it
+     * within the window and switches back to the previous window once done
+     * @param {(string|RegExp)} url - part of the url of the window, or a regular expression matching it
+     * @param {function} [fn] - function to run within the window, called with its handle
+     * @returns {Promise} resolves with the result of the function, or the handle of the window if there is no function
+     * @example
+     *      await helpers.switchToWindowByUrl('/oauth/authorize', async function () {
+     *          await driver.findElement(by.css('button[type="submit"]')).click();
+     *      });
+     */
+    switchToWindowByUrl: async function(url, fn) {
+
+        var browser = driver;
+        var saved = await windows.save(browser, true);
+
+        var handle = await windows.switchToWindow(browser, function (windowTitle, windowUrl) {
+            return (url instanceof RegExp) ? url.test(windowUrl) : windowUrl.indexOf(url) > -1;
+        }, 'url ' + url, DEFAULT_TIMEOUT);
+
+        return runWithinWindow(browser, saved, handle, fn);
+    },
+
+    /**
+     * closes every window (or tab) other than the current one, which becomes the main window of the browser
+     * @returns {Promise} resolves with the number of windows closed
+     * @example
+     *      await helpers.closeOtherWindows();
+     */
+    closeOtherWindows: function() {
+        return windows.closeOtherWindows(driver, DEFAULT_TIMEOUT);
+    },
+
+    /**
+     * waits for the browser to finish downloading a file (built-in chrome and firefox only). Every browser saves its
+     * downloads to its own folder of the reports, only the files downloaded by the current scenario are looked at
+     * and each file is only returned once
+     * @param {(string|RegExp)} pattern - name of the file, a glob such as *.csv or a regular expression
+     * @param {number} [timeout] - milliseconds to wait for the download, defaults to DEFAULT_TIMEOUT
+     * @returns {Promise} resolves with { path, name, size, contents } contents is a Buffer
+     * @example
+     *      await page.orders.elements.exportButton.click();
+     *      var file = await helpers.waitForDownload('orders-*.csv');
+     *      expect(file.contents.toString()).to.contain('Order number');
+     */
+    waitForDownload: function(pattern, timeout) {
+        return downloads.waitForFile(driver, pattern, timeout || DEFAULT_TIMEOUT);
+    },
+
+    /**
+     * selects the file(s) to upload with a file input, relative paths are looked up in the shared objects folders
+     * (then in the current directory)
+     * @param {(string|By|ElementHandle)} selector - css selector or locator of the input[type="file"] element
+     * @param {(string|Array<string>)} filePath - path of the file, or paths of the files for inputs accepting several
+     * @returns {Promise} resolves once the file is selected
+     * @example
+     *      await helpers.uploadFile('input[type="file"]', 'fixtures/avatar.png');
+     */
+    uploadFile: async function(selector, filePath) {
+
+        var files = [].concat(filePath).map(resolveUploadPath);
+        var locator = (typeof selector === 'string') ? by.css(selector) : selector;
+        var el = await driver.wait(until.elementLocated(locator), DEFAULT_TIMEOUT, 'Could not find file input ' + ((selector && selector.name) || selector) + ' after ' + DEFAULT_TIMEOUT + ' milliseconds');
+
+        // several files are separated by new lines
+        await el.sendKeys(files.join('\n'));
     },
 
     clearCookies: async function() {
@@ -264,5 +517,166 @@ module.exports = {
     clearCookiesAndStorages: async function() {
         await helpers.clearCookies();
         await helpers.clearStorages();
+    },
+
+    /**
+     * compares a screenshot of the page (or of an element) against a baseline PNG stored in the baselines directory.
+     * The baseline is created when it does not exist yet (or when running with --updateBaselines).
+     * On mismatch the actual and diff images are written to the reports folder, the baseline/actual/diff images
+     * are attached to the scenario and the promise rejects
+     * @param {string} name - name of the screenshot, used as the baseline file name
+     * @param {object} [options] - comparison options
+     * @param {(string|By|ElementHandle)} [options.selector] - element to capture, defaults to the whole page
+     * @param {number} [options.threshold] - proportion of pixels (0 to 1) allowed to differ. defaults to 0
+     * @returns {Promise} resolves with the comparison result if the screenshot matches, otherwise rejects
+     * @example
+     *      await helpers.matchScreenshot('home page');
+     *      await helpers.matchScreenshot('search box', { selector: 'form[role="search"]', threshold: 0.01 });
+     */
+    matchScreenshot: async function(name, options) {
+
+        var settings = options || {};
+        var screenshot;
+
+        if (settings.selector) {
+            var locator = (typeof settings.selector === 'string') ? by.css(settings.selector) : settings.selector;
+            var el = await driver.findElement(locator);
+
+            screenshot = await el.takeScreenshot();
+        }
+        else {
+            screenshot = await driver.takeScreenshot();
+        }
+
+        // baselines are kept per browser as browsers render pages differently (a scenario may run on another browser)
+        var browserFolder = path.basename(String((global.browserConfig) ? global.browserConfig.browser : global.browserName), '.js');
+
+        var result = visual.compareScreenshot(name, Buffer.from(screenshot, 'base64'), {
+            baselinesPath: path.resolve(global.baselinesPath, browserFolder),
+            outputPath: path.resolve(global.reportsPath, 'visual', browserFolder),
+            threshold: settings.threshold,
+            update: global.updateBaselines
+        });
+
+        if (!result.match) {
+
+            if (global.attach) {
+                var images = [
+                    { label: 'Baseline', image: result.baseline },
+                    { label: 'Actual', image: result.actual }
+                ];
+
+                if (result.diff) {
+                    images.push({ label: 'Diff', image: result.diff });
+                }
+
+                // a single attachment, the HTML report only shows the last image attached to a step
+                attach('Screenshot "' + diagnostics.escapeHtml(name) + '" differs from its baseline' + diagnostics.renderImages(images), 'text/html');
+            }
+
+            throw new Error('Screenshot "' + name + '" differs from its baseline by ' + (result.diffRatio * 100).toFixed(2) + '%');
+        }
+
+        return result;
+    },
+
+    /**
+     * audits the current page for accessibility issues using axe-core. Violations are attached to the scenario
+     * and included in the accessibility summary of the HTML report
+     * @param {object} [options] - audit options
+     * @param {(string|ElementHandle|Array)} [options.include] - css selector(s) of the parts of the page to audit, defaults to the whole page
+     * @param {(string|ElementHandle|Array)} [options.exclude] - css selector(s) of the parts of the page to skip
+     * @param {(Array<string>|object)} [options.rules] - ids of the only rules to run, or an axe-core rules object (e.g. { 'color-contrast': { enabled: false } })
+     * @param {string} [options.impact] - minimum impact of the violations returned (minor, moderate, serious, critical). defaults to minor
+     * @returns {Promise} resolves with the list of violations
+     * @example
+     *      var violations = await helpers.auditAccessibility({ include: '#main', exclude: '.ads', impact: 'serious' });
+     */
+    auditAccessibility: async function(options) {
+
+        var settings = options || {};
+        var context = null;
+        var axeOptions = {};
+
+        if (settings.include || settings.exclude) {
+            context = {};
+
+            if (settings.include) context.include = toAxeSelectors(settings.include);
+            if (settings.exclude) context.exclude = toAxeSelectors(settings.exclude);
+        }
+
+        if (Array.isArray(settings.rules)) {
+            axeOptions.runOnly = { type: 'rule', values: settings.rules };
+        }
+        else if (settings.rules) {
+            axeOptions.rules = settings.rules;
+        }
+
+        var violations = accessibility.filterByImpact(await accessibility.audit(driver, context, axeOptions), settings.impact);
+        var url = await driver.getCurrentUrl();
+
+        // summarized in the HTML report once all the features have run
+        global.accessibilityAudits = (global.accessibilityAudits || []).concat({ url: url, violations: violations });
+
+        if (violations.length > 0 && global.attach) {
+            attach(accessibility.formatViolations(url, violations), 'text/plain');
+        }
+
+        return violations;
+    },
+
+    /**
+     * reads the Navigation Timing, paint and resource metrics of the current page once it has loaded. The metrics of
+     * every page are attached to the scenario and summarized per url in the HTML report
+     * @param {integer} [waitInSeconds] - number of seconds to wait for the page to load
+     * @returns {Promise} resolves with { url, ttfb, domContentLoaded, load, firstContentfulPaint, requests, transferSize,
+     * resourceTypes } times in milliseconds from the start of the navigation (null if the browser does not report them)
+     * and sizes in bytes
+     * @example
+     *      var metrics = await helpers.getPerformanceMetrics();
+     */
+    getPerformanceMetrics: async function(waitInSeconds) {
+
+        var timeout = (waitInSeconds) ? (waitInSeconds * 1000) : DEFAULT_TIMEOUT;
+        var metrics = await performance.collect(driver, timeout);
+        var entries = global.performanceEntries || [];
+        var last = entries[entries.length - 1];
+
+        // reading the metrics of the same page again updates them rather than counting another page load
+        if (last && last.url === metrics.url && last.timeOrigin === metrics.timeOrigin) {
+            entries[entries.length - 1] = metrics;
+        }
+        else {
+            entries = entries.concat(metrics);
+
+            if (global.attach) {
+                attach(performance.formatMetrics(metrics), 'text/plain');
+            }
+        }
+
+        // summarized in the HTML report once all the features have run
+        global.performanceEntries = entries;
+
+        return metrics;
+    },
+
+    /**
+     * checks the metrics of the current page against a budget, rejecting with every metric over budget
+     * @param {object} budget - maximum of ttfb, domContentLoaded, load, firstContentfulPaint (durations such as 2s or 500ms,
+     * numbers are milliseconds), requests and transferSize (sizes such as 1.5MB or 500KB, numbers are bytes)
+     * @returns {Promise} resolves with the metrics of the page if within budget, otherwise rejects
+     * @example
+     *      await helpers.assertPerformanceBudget({ load: '2s', firstContentfulPaint: '1s', requests: 50, transferSize: '1MB' });
+     */
+    assertPerformanceBudget: async function(budget) {
+
+        var metrics = await helpers.getPerformanceMetrics();
+        var errors = performance.checkBudget(metrics, budget);
+
+        if (errors.length > 0) {
+            throw new Error('Performance budget exceeded on ' + metrics.url + ': ' + errors.join(', '));
+        }
+
+        return metrics;
     }
 };
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * matrix.js runs the suite once per browser (e.g. --browser chrome,firefox), each browser in its own copy of index.js
+ * writing its reports to a sub folder of the reports folder (reports/chrome, reports/firefox). Once every browser has
+ * finished, their junit reports are combined and a summary showing the result of every scenario per browser is written.
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const childProcess = require('child_process');
+const reporting = require('./reporting.js');
+const diagnostics = require('./diagnostics.js');
+
+// name of the HTML summary written to the main reports folder
+const SUMMARY_FILE = 'browser-matrix.html';
+
+// colours of the scenario results within the summary
+const STATUS_COLORS = {
+    passed: '#5cb85c',
+    failed: '#d9534f',
+    ambiguous: '#d9534f',
+    undefined: '#f0ad4e',
+    pending: '#f0ad4e',
+    skipped: '#5bc0de',
+    'not run': '#777777'
+};
+
+/**
+ * returns the name of the reports sub folder of a browser, custom drivers are named after their file
+ * @param {string} browser - name of the browser or path of a custom driver
+ * @returns {string} folder name, e.g. chrome
+ */
+function getFolderName(browser) {
+    return path.basename(browser, path.extname(browser)).replace(/[^\w.-]/g, '-');
+}
+
+/**
+ * runs the suite against one browser in a child process
+ * @param {string} browser - name of the browser
+ * @param {Array<string>} args - command line arguments passed to index.js
+ * @returns {Promise} resolves with true if all scenarios passed, otherwise false
+ */
+function runBrowser(browser, args) {
+
+    return new Promise(function (resolve) {
+
+        console.log('\nRunning on ' + browser + '\n');
+
+        let child = childProcess.fork(path.resolve(__dirname, '../index.js'), args, {
+            cwd: process.cwd(),
+            stdio: 'inherit'
+        });
+
+        child.on('error', function (err) {
+            console.error('Failed to run on ' + browser + ': ' + err.message);
+            resolve(false);
+        });
+
+        child.on('exit', function (code) {
+            resolve(code === 0);
+        });
+    });
+}
+
+/**
+ * collects the result of every scenario per browser
+ * @param {Array<{browser: string, folder: string, jsonFile: string}>} runs - browser runs
+ * @returns {Array<object>} list of { feature, name, uri, line, results } results are keyed by browser
+ */
+function collectScenarios(runs) {
+
+    let scenarios = [];
+    let index = {};
+
+    runs.forEach(function (run) {
+        reporting.readJsonReport(run.jsonFile).forEach(function (feature) {
+            (feature.elements || []).forEach(function (element) {
+
+                let key = feature.uri + ':' + element.line;
+
+                if (!index[key]) {
+                    index[key] = { feature: feature.name, name: element.name, uri: feature.uri, line: element.line, results: {} };
+                    scenarios.push(index[key]);
+                }
+
+                index[key].results[run.browser] = reporting.getScenarioStatus(element);
+            });
+        });
+    });
+
+    return scenarios;
+}
+
+/**
+ * renders the summary of a browser matrix run as a standalone HTML page
+ * @param {Array<{browser: string, folder: string, succeeded: boolean}>} runs - browser runs
+ * @param {Array<object>} scenarios - scenario results (see collectScenarios)
+ * @returns {string} HTML page
+ */
+function renderSummary(runs, scenarios) {
+
+    let header = runs.map(function (run) {
+
+        let passed = scenarios.filter(function (scenario) {
+            return scenario.results[run.browser] === 'passed';
+        }).length;
+
+        return '<th><a href="' + run.folder + '/cucumber-report.html">' + diagnostics.escapeHtml(run.folder) + '</a>' +
+            '<br><small>' + passed + '/' + scenarios.length + ' passed</small></th>';
+    }).join('');
+
+    let rows = scenarios.map(function (scenario) {
+
+        let cells = runs.map(function (run) {
+
+            let status = scenario.results[run.browser] || 'not run';
+
+            return '<td style="background:' + STATUS_COLORS[status] + ';color:#fff;text-align:center">' + status + '</td>';
+        }).join('');
+
+        return '<tr><td>' + diagnostics.escapeHtml(scenario.feature) + '</td><td>' + diagnostics.escapeHtml(scenario.name) +
+            '<br><small>' + diagnostics.escapeHtml(scenario.uri + ':' + scenario.line) + '</small></td>' + cells + '</tr>';
+    }).join('\n');
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>Browser matrix</title>\n' +
+        '<style>body{font-family:sans-serif;margin:20px}table{border-collapse:collapse}th,td{border:1px solid #ddd;padding:6px 10px;vertical-align:top}th{background:#f5f5f5}</style>\n' +
+        '</head>\n<body>\n<h1>Browser matrix</h1>\n<table>\n<tr><th>Feature</th><th>Scenario</th>' + header + '</tr>\n' + rows + '\n</table>\n</body>\n</html>\n';
+}
+
+module.exports = {
+
+    getFolderName: getFolderName,
+
+    /**
+     * runs the suite once per browser (one browser after the other) and combines their reports
+     * @param {object} options - matrix options
+     * @param {Array<string>} options.browsers - names of the browsers to run on
+     * @param {Array<string>} options.args - original command line arguments, passed on to every run
+     * @param {string} options.reportsPath - reports folder, every browser writes its reports to a sub folder of it
+     * @param {string} options.junitPath - path where the combined junit-report.xml is written
+     * @returns {Promise} resolves with true if all scenarios passed on every browser, otherwise false
+     */
+    run: async function (options) {
+
+        let runs = options.browsers.map(function (browser) {
+
+            let folder = getFolderName(browser);
+
+            return {
+                browser: browser,
+                folder: folder,
+                jsonFile: path.resolve(options.reportsPath, folder, 'cucumber-report.json'),
+                junitFile: path.resolve(options.reportsPath, folder, 'junit-report.xml')
+            };
+        });
+
+        for (let i = 0; i < runs.length; i++) {
+
+            let reportPath = path.resolve(options.reportsPath, runs[i].folder);
+
+            // options added last take precedence over the ones in the original arguments
+            runs[i].succeeded = await runBrowser(runs[i].browser, options.args.concat([
+                '--browser', runs[i].browser,
+                '--reports', reportPath,
+                '--junit', reportPath,
+                '--disableLaunchReport'
+            ]));
+        }
+
+        reporting.mergeJunitReports(runs.map(function (run) {
+            return run.junitFile;
+        }), path.resolve(options.junitPath, 'junit-report.xml'), runs.map(function (run) {
+            return run.folder;
+        }));
+
+        let summaryFile = path.resolve(options.reportsPath, SUMMARY_FILE);
+
+        fs.writeFileSync(summaryFile, renderSummary(runs, collectScenarios(runs)));
+
+        console.log('\nBrowser matrix report ' + summaryFile + ' generated successfully');
+
+        return runs.every(function (run) {
+            return run.succeeded;
+        });
+    }
+};
@@ -0,0 +1,290 @@
+'use strict';
+
+const http = require('http');
+const urlParser = require('url');
+
+/**
+ * A local HTTP server returning stubbed responses, used to replace flaky backend APIs within scenarios.
+ * Default routes are loaded from shared objects when the server starts, steps can add or override routes
+ * for the current scenario and check which requests were received. reset() (called after every scenario)
+ * removes the scenario routes and the received requests.
+ *
+ * A route is { method, path, status, body, headers, delay }. method defaults to GET ('*' matches any method),
+ * path is matched against the path of the request without its query string (a RegExp can also be used),
+ * objects/arrays bodies are returned as JSON and delay is in milliseconds.
+ *
+ * @example
+ *      mockServer.stub({ method: 'GET', path: '/api/users', body: [{ name: 'John' }] });
+ *      mockServer.assertReceived('GET', '/api/users', 1);
+ */
+class MockServer {
+
+    /**
+     * @param {Array<object>} [routes] - default routes, available to every scenario
+     */
+    constructor(routes) {
+        this.setRoutes(routes);
+        this.scenarioRoutes = [];
+        this.received = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * starts listening on localhost
+     * @param {integer} [port] - port to listen on, defaults to a random free port
+     * @returns {Promise} resolves with the base url of the server, e.g. http://localhost:53412
+     */
+    start(port) {
+        let self = this;
+
+        return new Promise(function (resolve, reject) {
+
+            self.server = http.createServer(function (req, res) {
+                self.handleRequest(req, res);
+            });
+
+            self.server.on('error', reject);
+
+            self.server.listen(port || 0, 'localhost', function () {
+                self.url = 'http://localhost:' + self.server.address().port;
+                resolve(self.url);
+            });
+        });
+    }
+
+    /**
+     * replaces the default routes
+     * @param {Array<object>} routes - default routes, available to every scenario
+     * @returns {void}
+     */
+    setRoutes(routes) {
+        this.routes = (routes || []).map(normalizeRoute);
+    }
+
+    /**
+     * stops listening
+     * @returns {Promise} resolves once stopped
+     */
+    stop() {
+        let self = this;
+
+        return new Promise(function (resolve) {
+
+            if (!self.server) return resolve();
+
+            self.server.close(function () {
+                self.server = null;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * adds a route for the current scenario, overriding any route with the same method and path
+     * @param {object} route - { method, path, status, body, headers, delay }
+     * @returns {void}
+     */
+    stub(route) {
+        this.scenarioRoutes.unshift(normalizeRoute(route));
+    }
+
+    /**
+     * removes the routes added by the current scenario and forgets the requests received
+     * @returns {void}
+     */
+    reset() {
+        this.scenarioRoutes = [];
+        this.received = [];
+    }
+
+    /**
+     * returns the requests received since the last reset
+     * @param {string} [method] - only return requests using this method
+     * @param {(string|RegExp)} [path] - only return requests to this path
+     * @returns {Array<object>} list of { method, path, query, headers, body }
+     */
+    requests(method, path) {
+        return this.received.filter(function (request) {
+            return (!method || matchesMethod(method, request.method)) && (!path || matchesPath(path, request.path));
+        });
+    }
+
+    /**
+     * throws if a request was not received (or not received the expected number of times)
+     * @param {string} method - method of the request
+     * @param {(string|RegExp)} path - path of the request
+     * @param {integer} [times] - number of times the request should have been received, defaults to at least once
+     * @returns {Array<object>} the matching requests
+     */
+    assertReceived(method, path, times) {
+        let requests = this.requests(method, path);
+        let expected = (typeof times === 'number') ? times : null;
+
+        if ((expected === null && requests.length === 0) || (expected !== null && requests.length !== expected)) {
+            throw new Error('Expected the mock server to receive ' + method.toUpperCase() + ' ' + path + ' ' +
+                ((expected === null) ? 'at least once' : expected + ' time(s)') + ' but it was received ' + requests.length + ' time(s). ' +
+                'Received: ' + (this.received.map(function (request) {
+                    return request.method + ' ' + request.path;
+                }).join(', ') || 'nothing'));
+        }
+
+        return requests;
+    }
+
+    /**
+     * records a request and sends the response of the first matching route (scenario routes take precedence)
+     * @param {IncomingMessage} req - request
+     * @param {ServerResponse} res - response
+     * @returns {void}
+     */
+    handleRequest(req, res) {
+        let self = this;
+        let chunks = [];
+
+        req.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+
+        req.on('end', function () {
+
+            let parsedUrl = urlParser.parse(req.url, true);
+
+            // the browser checks cross origin requests (the page and the mock server use different ports)
+            res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+            if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+                res.setHeader('Access-Control-Allow-Methods', req.headers['access-control-request-method']);
+                res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || '*');
+                res.writeHead(204);
+                return res.end();
+            }
+
+            let request = {
+                method: req.method,
+                path: parsedUrl.pathname,
+                query: parsedUrl.query,
+                headers: req.headers,
+                body: parseBody(Buffer.concat(chunks).toString('utf8'), req.headers['content-type'])
+            };
+
+            self.received.push(request);
+
+            let route = self.scenarioRoutes.concat(self.routes).find(function (item) {
+                return matchesMethod(item.method, request.method) && matchesPath(item.path, request.path);
+            });
+
+            if (!route) {
+                route = { status: 404, body: { error: 'No mock route for ' + request.method + ' ' + request.path }, headers: {} };
+            }
+
+            setTimeout(function () {
+                sendResponse(res, route);
+            }, route.delay || 0);
+        });
+    }
+}
+
+/**
+ * applies the defaults of a route
+ * @param {object} route - route definition
+ * @returns {object} route with method, status and headers set
+ */
+function normalizeRoute(route) {
+
+    if (!route || !route.path) {
+        throw new Error('Mock routes require a path: ' + JSON.stringify(route));
+    }
+
+    return Object.assign({ method: 'GET', status: 200, headers: {}, delay: 0 }, route);
+}
+
+/**
+ * returns true if a route method matches the method of a request
+ * @param {string} method - route method, * matches any method
+ * @param {string} requestMethod - method of the request
+ * @returns {boolean} true if matched
+ */
+function matchesMethod(method, requestMethod) {
+    return method === '*' || method.toUpperCase() === requestMethod.toUpperCase();
+}
+
+/**
+ * returns true if a route path matches the path of a request
+ * @param {(string|RegExp)} path - route path
+ * @param {string} requestPath - path of the request
+ * @returns {boolean} true if matched
+ */
+function matchesPath(path, requestPath) {
+    return (path instanceof RegExp) ? path.test(requestPath) : path === requestPath;
+}
+
+/**
+ * parses the body of a request, JSON bodies are returned as objects
+ * @param {string} body - body of the request
+ * @param {string} contentType - content type of the request
+ * @returns {(object|string)} parsed body
+ */
+function parseBody(body, contentType) {
+
+    if (body && /json/.test(contentType || '')) {
+        try {
+            return JSON.parse(body);
+        }
+        catch (err) {
+            return body;
+        }
+    }
+
+    return body;
+}
+
+/**
+ * sends the response of a route, objects and arrays are sent as JSON
+ * @param {ServerResponse} res - response
+ * @param {object} route - route definition
+ * @returns {void}
+ */
+function sendResponse(res, route) {
+
+    let body = route.body;
+    let headers = Object.assign({}, route.headers);
+    let hasContentType = Object.keys(headers).some(function (name) {
+        return name.toLowerCase() === 'content-type';
+    });
+
+    if (body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+
+        if (!hasContentType) headers['Content-Type'] = 'application/json';
+    }
+    else if (typeof body === 'string' && !hasContentType) {
+        headers['Content-Type'] = 'text/plain';
+    }
+
+    res.writeHead(route.status, headers);
+    res.end(body);
+}
+
+/**
+ * collects the routes exported by a shared object, which can be a list of routes or an object of lists
+ * (e.g. a shared-objects/mocks directory containing one file of routes per API)
+ * @param {(Array|object)} sharedObject - shared object containing routes
+ * @returns {Array<object>} list of routes
+ */
+MockServer.collectRoutes = function (sharedObject) {
+
+    if (Array.isArray(sharedObject)) return sharedObject;
+
+    if (!sharedObject || typeof sharedObject !== 'object') return [];
+
+    // a single route
+    if (sharedObject.path) return [sharedObject];
+
+    return Object.keys(sharedObject).reduce(function (routes, key) {
+        return routes.concat(MockServer.collectRoutes(sharedObject[key]));
+    }, []);
+};
+
+module.exports = MockServer;
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * parallel.js spreads feature files across worker processes, each worker is a copy of index.js
+ * running its own cucumber instance (and therefore its own driver) with its own reports folder.
+ * Once every worker has finished, the worker reports are merged into the main reports folder.
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const childProcess = require('child_process');
+const reporting = require('./reporting.js');
+
+// environment variable used to tell index.js it is running as a worker
+const WORKER_ENV_KEY = 'SELENIUM_CUCUMBER_WORKER_ID';
+
+// reports written by every worker, merged rather than moved into the main reports folder
+const REPORT_FILES = ['cucumber-report.json', 'junit-report.xml', 'accessibility-report.json', 'performance-report.json'];
+
+/**
+ * expands a comma-separated list of feature files/directories/rerun files into a list of feature files
+ * @param {string} featureFiles - comma-separated list of feature files, directories or @rerun files
+ * @returns {Array<string>} list of feature file paths
+ */
+function listFeatureFiles(featureFiles) {
+
+    let files = [];
+
+    featureFiles.split(',').forEach(function (item) {
+
+        let itemPath = path.resolve(item.trim());
+
+        // rerun files (e.g. @reports/@rerun.txt) list one feature file per line followed by scenario line numbers
+        if (item.trim()[0] === '@') {
+            files = files.concat(fs.readFileSync(path.resolve(item.trim().substr(1)), 'utf8').split('\n').map(function (line) {
+                return line.trim();
+            }).filter(Boolean));
+        }
+        else if (fs.isDirectorySync(itemPath)) {
+            files = files.concat(fs.listTreeSync(itemPath).filter(function (file) {
+                return path.extname(file) === '.feature';
+            }).sort());
+        }
+        else {
+            files.push(itemPath);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * splits a list of files into n buckets (round-robin so large folders are spread evenly)
+ * @param {Array<string>} files - list of files
+ * @param {integer} n - number of buckets
+ * @returns {Array<Array<string>>} list of non-empty buckets
+ */
+function splitFiles(files, n) {
+
+    let buckets = [];
+
+    for (let i = 0; i < n; i++) {
+        buckets.push([]);
+    }
+
+    files.forEach(function (file, index) {
+        buckets[index % n].push(file);
+    });
+
+    return buckets.filter(function (bucket) {
+        return bucket.length > 0;
+    });
+}
+
+/**
+ * moves the files a worker wrote next to its reports (step screenshots, visual diffs etc) into the main reports folder
+ * so the links within the merged HTML report keep working
+ * @param {string} workerReportPath - reports folder of the worker
+ * @param {string} reportsPath - main reports folder
+ * @returns {void}
+ */
+function moveArtifacts(workerReportPath, reportsPath) {
+
+    if (!fs.isDirectorySync(workerReportPath)) return;
+
+    fs.listTreeSync(workerReportPath).forEach(function (file) {
+
+        let relativePath = path.relative(workerReportPath, file);
+
+        if (REPORT_FILES.indexOf(relativePath) > -1 || !fs.isFileSync(file)) return;
+
+        let target = path.resolve(reportsPath, relativePath);
+
+        fs.makeTreeSync(path.dirname(target));
+        fs.moveSync(file, target);
+    });
+}
+
+/**
+ * starts a worker process running index.js against a subset of feature files
+ * @param {integer} workerId - id of the worker
+ * @param {Array<string>} args - command line arguments passed to index.js
+ * @returns {Promise} resolves with true if all scenarios passed, otherwise false
+ */
+function startWorker(workerId, args) {
+
+    return new Promise(function (resolve) {
+
+        let env = Object.assign({}, process.env);
+        env[WORKER_ENV_KEY] = String(workerId);
+
+        let worker = childProcess.fork(path.resolve(__dirname, '../index.js'), args, {
+            cwd: process.cwd(),
+            env: env,
+            stdio: 'inherit'
+        });
+
+        worker.on('error', function (err) {
+            console.error('Worker ' + workerId + ' failed to start: ' + err.message);
+            resolve(false);
+        });
+
+        worker.on('exit', function (code) {
+            resolve(code === 0);
+        });
+    });
+}
+
+module.exports = {
+
+    WORKER_ENV_KEY: WORKER_ENV_KEY,
+
+    /**
+     * runs the feature files across a number of worker processes and merges their reports
+     * @param {object} options - parallel options
+     * @param {integer} options.workers - number of worker processes to start
+     * @param {string} options.featureFiles - comma-separated list of feature files or directories
+     * @param {Array<string>} options.args - original command line arguments, passed on to every worker
+     * @param {string} options.reportsPath - path where the merged reports are written
+     * @param {string} options.junitPath - path where the merged junit-report.xml is written
+     * @returns {Promise} resolves with true if all workers passed, otherwise false
+     */
+    run: async function (options) {
+
+        let buckets = splitFiles(listFeatureFiles(options.featureFiles), options.workers);
+
+        let workerReportPaths = buckets.map(function (bucket, index) {
+            return path.resolve(options.reportsPath, 'worker-' + (index + 1));
+        });
+
+        let results = await Promise.all(buckets.map(function (bucket, index) {
+
+            // options added last take precedence over the ones in the original arguments
+            let args = options.args.concat([
+                '--parallel', '1',
+                '--featureFiles', bucket.join(','),
+                '--reports', workerReportPaths[index],
+                '--junit', workerReportPaths[index],
+                '--disableLaunchReport'
+            ]);
+
+            return startWorker(index + 1, args);
+        }));
+
+        reporting.mergeJsonReports(workerReportPaths.map(function (reportPath) {
+            return path.resolve(reportPath, 'cucumber-report.json');
+        }), path.resolve(options.reportsPath, 'cucumber-report.json'));
+
+        reporting.mergeJunitReports(workerReportPaths.map(function (reportPath) {
+            return path.resolve(reportPath, 'junit-report.xml');
+        }), path.resolve(options.junitPath, 'junit-report.xml'));
+
+        reporting.mergeAccessibilityReports(workerReportPaths.map(function (reportPath) {
+            return path.resolve(reportPath, 'accessibility-report.json');
+        }), path.resolve(options.reportsPath, 'accessibility-report.json'));
+
+        reporting.mergePerformanceReports(workerReportPaths.map(function (reportPath) {
+            return path.resolve(reportPath, 'performance-report.json');
+        }), path.resolve(options.reportsPath, 'performance-report.json'));
+
+        workerReportPaths.forEach(function (reportPath) {
+            moveArtifacts(reportPath, options.reportsPath);
+            fs.removeSync(reportPath);
+        });
+
+        return results.every(function (succeeded) {
+            return succeeded;
+        });
+    }
+};
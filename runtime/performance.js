@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * performance.js reads the Navigation Timing, paint and resource timing metrics of the current page
+ * (used by helpers.getPerformanceMetrics), checks them against budgets and formats them for the reports
+ */
+
+const diagnostics = require('./diagnostics.js');
+
+// metrics that can be given a budget, with their label and unit
+const METRICS = {
+    ttfb: { label: 'TTFB', unit: 'ms' },
+    domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms' },
+    load: { label: 'Load', unit: 'ms' },
+    firstContentfulPaint: { label: 'First contentful paint', unit: 'ms' },
+    requests: { label: 'Requests', unit: 'count' },
+    transferSize: { label: 'Transfer size', unit: 'bytes' }
+};
+
+const DURATION_UNITS = { ms: 1, millisecond: 1, milliseconds: 1, s: 1000, sec: 1000, second: 1000, seconds: 1000 };
+
+const SIZE_UNITS = { b: 1, byte: 1, bytes: 1, kb: 1024, mb: 1024 * 1024 };
+
+// returns true once the load event of the page has completed
+const IS_LOADED = function () {
+    return document.readyState === 'complete' && window.performance.timing.loadEventEnd > 0;
+};
+
+// reads the metrics of the current document, times are in milliseconds from the start of the navigation
+const READ_METRICS = function () {
+
+    var perf = window.performance;
+    var nav = perf.getEntriesByType ? perf.getEntriesByType('navigation')[0] : null;
+    var timing = perf.timing;
+    var start = nav ? 0 : timing.navigationStart;
+    var source = nav || timing;
+    var resources = perf.getEntriesByType ? perf.getEntriesByType('resource') : [];
+    var paint = perf.getEntriesByType ? perf.getEntriesByType('paint') : [];
+    var fcp = null;
+    var transferSize = (nav && nav.transferSize) || 0;
+    var resourceTypes = {};
+    var i;
+
+    function since(value) {
+        return (value > 0) ? Math.round(value - start) : null;
+    }
+
+    for (i = 0; i < paint.length; i++) {
+        if (paint[i].name === 'first-contentful-paint') {
+            fcp = Math.round(paint[i].startTime);
+        }
+    }
+
+    for (i = 0; i < resources.length; i++) {
+        transferSize += resources[i].transferSize || 0;
+        resourceTypes[resources[i].initiatorType] = (resourceTypes[resources[i].initiatorType] || 0) + 1;
+    }
+
+    return {
+        url: window.location.href.split('#')[0],
+        timeOrigin: perf.timeOrigin || timing.navigationStart,
+        ttfb: since(source.responseStart),
+        domContentLoaded: since(source.domContentLoadedEventEnd),
+        load: since(source.loadEventEnd),
+        firstContentfulPaint: fcp,
+        requests: resources.length,
+        transferSize: transferSize,
+        resourceTypes: resourceTypes
+    };
+};
+
+/**
+ * returns the metric matching a name, ignoring case and spaces (e.g. "first contentful paint")
+ * @param {string} name - name of the metric
+ * @returns {string} key within METRICS
+ */
+function getMetricName(name) {
+
+    let key = String(name).replace(/[\s_-]/g, '').toLowerCase();
+
+    let metric = Object.keys(METRICS).find(function (item) {
+        return item.toLowerCase() === key || METRICS[item].label.replace(/\s/g, '').toLowerCase() === key;
+    });
+
+    if (!metric) {
+        throw new Error('Unknown performance metric "' + name + '", available metrics: ' + Object.keys(METRICS).join(', '));
+    }
+
+    return metric;
+}
+
+/**
+ * converts a value with an optional unit into a number, e.g. 2s, 1.5 seconds, 500ms, 1MB or 250 KB
+ * @param {(number|string)} value - value to convert, numbers are returned unchanged
+ * @param {object} units - multiplier of every unit
+ * @param {string} kind - what the value is, used in the error message
+ * @returns {number} converted value
+ */
+function parseValue(value, units, kind) {
+
+    if (typeof value === 'number') return value;
+
+    let match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+    let unit = match ? (match[2].toLowerCase() || Object.keys(units)[0]) : null;
+
+    if (!match || !units[unit]) {
+        throw new Error('Invalid ' + kind + ' "' + value + '", expected a number followed by one of ' + Object.keys(units).join(', '));
+    }
+
+    return parseFloat(match[1]) * units[unit];
+}
+
+/**
+ * formats the value of a metric, e.g. 1.25s, 80ms, 830 KB
+ * @param {string} metric - key within METRICS
+ * @param {number} value - value of the metric
+ * @returns {string} formatted value, n/a if the browser does not report it
+ */
+function formatValue(metric, value) {
+
+    if (value === null || value === undefined) return 'n/a';
+
+    switch (METRICS[metric].unit) {
+        case 'ms':
+            return (value >= 1000) ? (value / 1000).toFixed(2) + 's' : Math.round(value) + 'ms';
+        case 'bytes':
+            return (value >= 1024 * 1024) ? (value / 1024 / 1024).toFixed(2) + ' MB' : Math.round(value / 1024) + ' KB';
+        default:
+            return String(Math.round(value));
+    }
+}
+
+/**
+ * pads text with spaces to a given length
+ * @param {string} text - text to pad
+ * @param {integer} length - length of the padded text
+ * @returns {string} padded text
+ */
+function pad(text, length) {
+    text = String(text);
+
+    return text + new Array(Math.max(length - text.length, 0) + 1).join(' ');
+}
+
+module.exports = {
+
+    METRICS: METRICS,
+
+    /**
+     * waits for the load event of the current page and reads its metrics
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {number} timeout - milliseconds to wait for the load event
+     * @returns {Promise} resolves with { url, timeOrigin, ttfb, domContentLoaded, load, firstContentfulPaint, requests,
+     * transferSize, resourceTypes } times in milliseconds, null if the browser does not report them
+     */
+    collect: async function (driver, timeout) {
+
+        await driver.wait(function () {
+            return driver.executeScript(IS_LOADED);
+        }, timeout, 'Timed out waiting for the page to load before reading its performance metrics');
+
+        return driver.executeScript(READ_METRICS);
+    },
+
+    /**
+     * converts a duration into milliseconds, plain numbers are milliseconds
+     * @param {(number|string)} value - duration, e.g. 2s, 1.5 seconds or 500ms
+     * @returns {number} milliseconds
+     */
+    parseDuration: function (value) {
+        return parseValue(value, DURATION_UNITS, 'duration');
+    },
+
+    /**
+     * checks metrics against a budget
+     * @param {object} metrics - metrics of a page (see collect)
+     * @param {object} budget - maximum of every metric keyed by name, durations (e.g. 2s) and sizes (e.g. 1MB) can have a unit
+     * @returns {Array<string>} metrics over budget, e.g. load 2.35s > 2.00s
+     */
+    checkBudget: function (metrics, budget) {
+
+        let errors = [];
+
+        Object.keys(budget).forEach(function (name) {
+
+            let metric = getMetricName(name);
+            let unit = METRICS[metric].unit;
+            let limit = (unit === 'ms') ? parseValue(budget[name], DURATION_UNITS, 'duration') :
+                (unit === 'bytes') ? parseValue(budget[name], SIZE_UNITS, 'size') : parseValue(budget[name], { count: 1 }, 'count');
+            let value = metrics[metric];
+
+            if (value === null || value === undefined) {
+                errors.push(METRICS[metric].label + ' is not reported by the browser');
+            }
+            else if (value > limit) {
+                errors.push(METRICS[metric].label + ' ' + formatValue(metric, value) + ' > ' + formatValue(metric, limit));
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * formats the metrics of a page as a text table
+     * @param {object} metrics - metrics of a page (see collect)
+     * @returns {string} formatted metrics, HTML escaped so they can be attached to the report
+     */
+    formatMetrics: function (metrics) {
+
+        let lines = ['Performance metrics of ' + metrics.url];
+
+        Object.keys(METRICS).forEach(function (metric) {
+            lines.push(pad(METRICS[metric].label, 25) + formatValue(metric, metrics[metric]));
+        });
+
+        lines.push(pad('Resources', 25) + Object.keys(metrics.resourceTypes || {}).sort().map(function (type) {
+            return type + ': ' + metrics.resourceTypes[type];
+        }).join(', '));
+
+        return diagnostics.escapeHtml(lines.join('\n'));
+    },
+
+    /**
+     * aggregates the metrics of a run per url into the rows of the summary shown in the HTML report
+     * @param {Array<object>} entries - metrics of every page load of the run
+     * @returns {Array<{url: string, loads: integer, text: string}>} one row per url, in the order they were first loaded
+     */
+    summarize: function (entries) {
+
+        let urls = [];
+        let byUrl = {};
+
+        entries.forEach(function (entry) {
+
+            if (!byUrl[entry.url]) {
+                byUrl[entry.url] = [];
+                urls.push(entry.url);
+            }
+
+            byUrl[entry.url].push(entry);
+        });
+
+        return urls.map(function (url) {
+
+            let loads = byUrl[url];
+
+            let text = Object.keys(METRICS).map(function (metric) {
+
+                let values = loads.map(function (entry) {
+                    return entry[metric];
+                }).filter(function (value) {
+                    return value !== null && value !== undefined;
+                });
+
+                if (values.length === 0) {
+                    return METRICS[metric].label + ' n/a';
+                }
+
+                let average = values.reduce(function (total, value) {
+                    return total + value;
+                }, 0) / values.length;
+
+                let max = Math.max.apply(null, values);
+
+                return METRICS[metric].label + ' ' + formatValue(metric, average) + ((values.length > 1) ? ' (max ' + formatValue(metric, max) + ')' : '');
+            }).join(', ');
+
+            return { url: url, loads: loads.length, text: text + ' - ' + loads.length + ' load(s)' };
+        });
+    }
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+var selenium = require('selenium-webdriver');
+var remote = require('selenium-webdriver/remote');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+
+/**
+ * Creates a Selenium WebDriver session on a remote Selenium server or grid
+ * @param {string} remoteUrl - url of the selenium server, e.g. http://localhost:4444/wd/hub
+ * @param {object} capabilities - desired capabilities (browserName defaults to the --browser value)
+ * @returns {ThenableWebDriver} selenium web driver
+ */
+module.exports = function (remoteUrl, capabilities) {
+
+    var desiredCapabilities = Object.assign({
+        browserName: global.browserName,
+        javascriptEnabled: true,
+        acceptSslCerts: true
+    }, capabilities);
+
+    var driver = new selenium.Builder()
+        .usingServer(remoteUrl)
+        .withCapabilities(desiredCapabilities)
+        .build();
+
+    // send the files given to file inputs (helpers.uploadFile) to the remote browser
+    driver.setFileDetector(new remote.FileDetector());
+
+    return driver;
+};
+
+/**
+ * Returns the session id of a remote driver and the grid node it is running on.
+ * The node is looked up using the Selenium Grid testsession api, if the server does not support it
+ * (for example a standalone server) the node is left empty.
+ * @param {ThenableWebDriver} driver - remote selenium web driver
+ * @param {string} remoteUrl - url of the selenium server the session was created on
+ * @returns {Promise} resolves with { sessionId, node }
+ * @example
+ *      let info = await RemoteDriver.getSessionInfo(driver, 'http://localhost:4444/wd/hub');
+ */
+module.exports.getSessionInfo = async function (driver, remoteUrl) {
+
+    var session = await driver.getSession();
+    var sessionId = session.getId();
+
+    // the grid api lives at the root of the hub, not under /wd/hub
+    var apiUrl = url.resolve(remoteUrl, '/grid/api/testsession?session=' + sessionId);
+
+    var node = await new Promise(function (resolve) {
+
+        var client = (url.parse(apiUrl).protocol === 'https:') ? https : http;
+
+        var request = client.get(apiUrl, function (response) {
+
+            var body = '';
+
+            response.on('data', function (chunk) {
+                body += chunk;
+            });
+
+            response.on('end', function () {
+                try {
+                    resolve(JSON.parse(body).proxyId || '');
+                }
+                catch (err) {
+                    resolve('');
+                }
+            });
+        });
+
+        request.on('error', function () {
+            resolve('');
+        });
+
+        request.setTimeout(5000, function () {
+            request.abort();
+        });
+    });
+
+    return {
+        sessionId: sessionId,
+        node: node
+    };
+};
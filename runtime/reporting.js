@@ -0,0 +1,367 @@
+'use strict';
+
+const fs = require('fs-plus');
+const path = require('path');
+const reporter = require('cucumber-html-reporter');
+const accessibility = require('./accessibility.js');
+const performance = require('./performance.js');
+const diagnostics = require('./diagnostics.js');
+
+// step statuses that make a scenario fail (cucumber runs in strict mode)
+const FAILED_STATUSES = ['failed', 'undefined', 'pending', 'ambiguous'];
+
+/**
+ * reads a cucumber json report
+ * @param {string} jsonFile - path of the report
+ * @returns {Array} list of features, empty if the report does not exist
+ */
+function readJsonReport(jsonFile) {
+
+    if (!fs.isFileSync(jsonFile)) return [];
+
+    let content = fs.readFileSync(jsonFile, 'utf8');
+
+    return (content.trim() !== '') ? JSON.parse(content) : [];
+}
+
+/**
+ * writes the accessibility audits or performance metrics of a run, removing the report left by a previous run if there are none
+ * @param {string} jsonFile - path of the report
+ * @param {Array<object>} entries - accessibility audits or performance metrics
+ * @returns {void}
+ */
+function writeEntries(jsonFile, entries) {
+
+    if (entries.length > 0) {
+        fs.writeFileSync(jsonFile, JSON.stringify(entries, null, 2));
+    }
+    else if (fs.isFileSync(jsonFile)) {
+        fs.removeSync(jsonFile);
+    }
+}
+
+/**
+ * returns true if any step (or hook) of a scenario from a cucumber json report failed
+ * @param {object} element - scenario from a cucumber json report
+ * @returns {boolean} true if failed
+ */
+function isScenarioFailed(element) {
+
+    return (element.steps || []).some(function (step) {
+        return step.result && FAILED_STATUSES.indexOf(step.result.status) > -1;
+    });
+}
+
+/**
+ * returns the result of a scenario from a cucumber json report
+ * @param {object} element - scenario from a cucumber json report
+ * @returns {string} passed, skipped or the status of the step that made it fail
+ */
+function getScenarioStatus(element) {
+
+    let statuses = (element.steps || []).map(function (step) {
+        return (step.result) ? step.result.status : 'skipped';
+    });
+
+    let failedStatus = FAILED_STATUSES.find(function (status) {
+        return statuses.indexOf(status) > -1;
+    });
+
+    if (failedStatus) return failedStatus;
+
+    return (statuses.indexOf('passed') > -1) ? 'passed' : 'skipped';
+}
+
+module.exports = {
+
+    readJsonReport: readJsonReport,
+
+    getScenarioStatus: getScenarioStatus,
+
+    /**
+     * returns the result of every scenario of a cucumber json report
+     * @param {string} jsonFile - path of the report
+     * @returns {Array<object>} list of { feature, name, uri, line, tags, status, duration, flaky } durations are in milliseconds
+     */
+    getScenarioResults: function (jsonFile) {
+
+        let results = [];
+
+        readJsonReport(jsonFile).forEach(function (feature) {
+            (feature.elements || []).forEach(function (element) {
+
+                // cucumber reports step (and hook) durations in nanoseconds
+                let duration = (element.steps || []).reduce(function (total, step) {
+                    return total + ((step.result && step.result.duration) || 0);
+                }, 0);
+
+                results.push({
+                    feature: feature.name,
+                    name: element.name,
+                    uri: feature.uri,
+                    line: element.line,
+                    tags: (element.tags || []).map(function (tag) {
+                        return tag.name;
+                    }),
+                    status: getScenarioStatus(element),
+                    duration: Math.round(duration / 1000000),
+                    flaky: !!element.flaky
+                });
+            });
+        });
+
+        return results;
+    },
+
+    /**
+     * generates the HTML report from the cucumber-report.json found in the reports folder
+     * @param {string} reportsPath - folder containing cucumber-report.json
+     * @param {boolean} launchReport - true to open the report in the browser once generated
+     * @returns {void}
+     */
+    generateHtmlReport: function (reportsPath, launchReport) {
+
+        let jsonFile = path.resolve(reportsPath, 'cucumber-report.json');
+        let metadata = {};
+
+        let flakyCount = readJsonReport(jsonFile).reduce(function (count, feature) {
+            return count + (feature.elements || []).filter(function (element) {
+                return element.flaky;
+            }).length;
+        }, 0);
+
+        if (flakyCount > 0) {
+            metadata['Flaky scenarios'] = flakyCount;
+        }
+
+        // aggregated accessibility summary, written by world.js once all the features have run
+        let audits = readJsonReport(path.resolve(reportsPath, 'accessibility-report.json'));
+
+        if (audits.length > 0) {
+
+            let summary = accessibility.summarize(audits);
+
+            metadata['Accessibility audits'] = summary.audits + ' on ' + summary.pages + ' page(s)';
+
+            metadata['Accessibility violations'] = summary.violations;
+
+            if (summary.violations > 0) {
+
+                // most severe first
+                metadata['Accessibility violations'] += ' (' + accessibility.IMPACT_LEVELS.slice().reverse().filter(function (impact) {
+                    return summary.impacts[impact];
+                }).map(function (impact) {
+                    return impact + ': ' + summary.impacts[impact];
+                }).join(', ') + ')';
+
+                metadata['Accessibility rules violated'] = Object.keys(summary.rules).sort().map(function (rule) {
+                    return rule + ' (' + summary.rules[rule] + ')';
+                }).join(', ');
+            }
+        }
+
+        // performance summary per url, written by world.js once all the features have run
+        performance.summarize(readJsonReport(path.resolve(reportsPath, 'performance-report.json'))).forEach(function (row) {
+            metadata['Performance ' + row.url] = row.text;
+        });
+
+        let reportOptions = {
+            theme: 'bootstrap',
+            jsonFile: jsonFile,
+            output: path.resolve(reportsPath, 'cucumber-report.html'),
+            reportSuiteAsScenarios: true,
+            launchReport: launchReport,
+            ignoreBadJsonFile: true,
+            metadata: metadata
+        };
+
+        reporter.generate(reportOptions);
+    },
+
+    /**
+     * merges several cucumber json reports into a single report (features are concatenated)
+     * @param {Array<string>} jsonFiles - paths of the reports to merge, missing files are skipped
+     * @param {string} outputFile - path of the merged report
+     * @returns {Array} merged list of features
+     */
+    mergeJsonReports: function (jsonFiles, outputFile) {
+
+        let features = [];
+
+        // a worker that crashed before cucumber finished leaves an empty report behind
+        jsonFiles.forEach(function (jsonFile) {
+            features = features.concat(readJsonReport(jsonFile));
+        });
+
+        fs.writeFileSync(outputFile, JSON.stringify(features, null, 2));
+
+        return features;
+    },
+
+    /**
+     * writes the accessibility audits of a run to accessibility-report.json (summarized in the HTML report)
+     * @param {string} jsonFile - path of accessibility-report.json
+     * @param {Array<{url: string, violations: Array<object>}>} audits - accessibility audits
+     * @returns {void}
+     */
+    writeAccessibilityReport: function (jsonFile, audits) {
+        writeEntries(jsonFile, audits || []);
+    },
+
+    /**
+     * merges several accessibility reports into a single report (audits are concatenated)
+     * @param {Array<string>} jsonFiles - paths of the reports to merge, missing files are skipped
+     * @param {string} outputFile - path of the merged report
+     * @returns {void}
+     */
+    mergeAccessibilityReports: function (jsonFiles, outputFile) {
+
+        let audits = [];
+
+        jsonFiles.forEach(function (jsonFile) {
+            audits = audits.concat(readJsonReport(jsonFile));
+        });
+
+        writeEntries(outputFile, audits);
+    },
+
+    /**
+     * writes the performance metrics of the pages loaded during a run to performance-report.json (summarized in the HTML report)
+     * @param {string} jsonFile - path of performance-report.json
+     * @param {Array<object>} entries - performance metrics
+     * @returns {void}
+     */
+    writePerformanceReport: function (jsonFile, entries) {
+        writeEntries(jsonFile, entries || []);
+    },
+
+    /**
+     * merges several performance reports into a single report (metrics are concatenated)
+     * @param {Array<string>} jsonFiles - paths of the reports to merge, missing files are skipped
+     * @param {string} outputFile - path of the merged report
+     * @returns {void}
+     */
+    mergePerformanceReports: function (jsonFiles, outputFile) {
+
+        let entries = [];
+
+        jsonFiles.forEach(function (jsonFile) {
+            entries = entries.concat(readJsonReport(jsonFile));
+        });
+
+        writeEntries(outputFile, entries);
+    },
+
+    /**
+     * merges several junit reports into a single <testsuites> document
+     * @param {Array<string>} xmlFiles - paths of the reports to merge, missing files are skipped
+     * @param {string} outputFile - path of the merged report
+     * @param {Array<string>} [browsers] - browser each report ran on (browser matrix), prefixed to the name of its suites
+     * @returns {void}
+     */
+    mergeJunitReports: function (xmlFiles, outputFile, browsers) {
+
+        let suites = [];
+
+        xmlFiles.forEach(function (xmlFile, index) {
+
+            if (!fs.isFileSync(xmlFile)) return;
+
+            let content = fs.readFileSync(xmlFile, 'utf8');
+            let matches = content.match(/<testsuite[\s>][\s\S]*?<\/testsuite>/g);
+
+            if (matches && browsers) {
+                matches = matches.map(function (suite) {
+                    return suite.replace(/^<testsuite name="/, '<testsuite name="' + diagnostics.escapeHtml(browsers[index]) + ';')
+                        .replace(/<properties>/, '<properties><property name="browser" value="' + diagnostics.escapeHtml(browsers[index]) + '"></property>');
+                });
+            }
+
+            if (matches) {
+                suites = suites.concat(matches);
+            }
+        });
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites>\n' + suites.join('\n') + '\n</testsuites>\n';
+
+        fs.writeFileSync(outputFile, xml);
+    },
+
+    /**
+     * records the outcome of retried scenarios in the json and junit reports. Scenarios that passed after
+     * being retried are flagged as flaky (and tagged @flaky so they can be filtered in the HTML report)
+     * @param {string} jsonFile - path of cucumber-report.json
+     * @param {string} junitFile - path of junit-report.xml
+     * @param {Array<{uri: string, line: integer, attempts: integer, flaky: boolean}>} retryResults - retried scenarios
+     * @returns {void}
+     */
+    annotateRetries: function (jsonFile, junitFile, retryResults) {
+
+        if (!retryResults || retryResults.length === 0 || !fs.isFileSync(jsonFile)) return;
+
+        let features = readJsonReport(jsonFile);
+        let elements = [];
+
+        features.forEach(function (feature) {
+            (feature.elements || []).forEach(function (element) {
+
+                let retryResult = retryResults.find(function (item) {
+                    return item.uri === feature.uri && item.line === element.line;
+                });
+
+                if (retryResult) {
+                    element.attempts = retryResult.attempts;
+                    element.flaky = retryResult.flaky;
+
+                    if (retryResult.flaky) {
+                        element.tags = (element.tags || []).concat({ name: '@flaky', line: element.line });
+                    }
+                }
+
+                elements.push(element);
+            });
+        });
+
+        fs.writeFileSync(jsonFile, JSON.stringify(features, null, 2));
+
+        if (!fs.isFileSync(junitFile)) return;
+
+        // junit test suites are written in the same order as the json scenarios
+        let index = 0;
+        let xml = fs.readFileSync(junitFile, 'utf8').replace(/<testsuite[\s>][\s\S]*?<\/testsuite>/g, function (suite) {
+
+            let element = elements[index++];
+
+            if (!element || !element.attempts) return suite;
+
+            let properties = '<property name="attempts" value="' + element.attempts + '"></property>' +
+                '<property name="flaky" value="' + element.flaky + '"></property>';
+
+            return suite.replace(/<properties>/, '<properties>' + properties);
+        });
+
+        fs.writeFileSync(junitFile, xml);
+    },
+
+    /**
+     * writes the scenarios that failed to a rerun file (one feature file per line followed by the failed
+     * scenario line numbers) that can be passed back to cucumber using --featureFiles @path/to/@rerun.txt
+     * @param {string} jsonFile - path of cucumber-report.json
+     * @param {string} rerunFile - path of the rerun file
+     * @returns {void}
+     */
+    writeRerunFile: function (jsonFile, rerunFile) {
+
+        let lines = readJsonReport(jsonFile).map(function (feature) {
+
+            let failedLines = (feature.elements || []).filter(isScenarioFailed).map(function (element) {
+                return element.line;
+            });
+
+            return (failedLines.length > 0) ? feature.uri + ':' + failedLines.join(':') : null;
+
+        }).filter(Boolean);
+
+        fs.writeFileSync(rerunFile, lines.join('\n'));
+    }
+};
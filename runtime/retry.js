@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * retry.js lets a scenario override the number of times it is retried using a @retry(n) tag,
+ * the --retry switch applies to all other scenarios
+ */
+
+const cucumberHelpers = require('cucumber/lib/runtime/helpers');
+
+const RETRY_TAG = /^@retry\((\d+)\)$/;
+
+/**
+ * returns the number of retries requested by a @retry(n) tag
+ * @param {Array<{name: string}>} tags - pickle tags of the scenario
+ * @returns {integer} number of retries, otherwise null if the scenario has no @retry(n) tag
+ */
+function getRetryTagCount(tags) {
+
+    let count = null;
+
+    (tags || []).forEach(function (tag) {
+        let match = RETRY_TAG.exec(tag.name);
+
+        if (match) {
+            count = parseInt(match[1]);
+        }
+    });
+
+    return count;
+}
+
+module.exports = {
+
+    getRetryTagCount: getRetryTagCount,
+
+    /**
+     * makes cucumber honour @retry(n) tags. cucumber only supports a single retry count for all scenarios
+     * so the function it uses to work out the retries of a test case is wrapped
+     * @returns {void}
+     */
+    install: function () {
+
+        let retriesForTestCase = cucumberHelpers.retriesForTestCase;
+
+        if (retriesForTestCase.retryTagsInstalled) return;
+
+        cucumberHelpers.retriesForTestCase = function (testCase, options) {
+
+            let count = getRetryTagCount(testCase.pickle.tags);
+
+            return (count !== null) ? count : retriesForTestCase(testCase, options);
+        };
+
+        cucumberHelpers.retriesForTestCase.retryTagsInstalled = true;
+    }
+};
@@ -0,0 +1,788 @@
+'use strict';
+
+/**
+ * runner.js runs a test suite: it loads the config file, works out the options (the command line switches or the
+ * options passed to run()), exposes them to world.js as globals and runs cucumber within this process, across worker
+ * processes (--parallel) or once per browser (browser matrix). index.js is the command line interface of the runner,
+ * other tools can use it directly:
+ *
+ *      const { run } = require('selenium-cucumber-es6');
+ *
+ *      run({ featureFiles: './features/login.feature', browser: 'firefox', headless: true }).then(function (result) {
+ *          console.log(result.success, result.scenarios);
+ *      });
+ *
+ * run() never exits the process and restores the globals it sets once the run has finished, runs are queued
+ * as the browser and the step definitions are globals.
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const cucumber = require('cucumber');
+const parallel = require('./parallel.js');
+const reporting = require('./reporting.js');
+const retry = require('./retry.js');
+const accessibility = require('./accessibility.js');
+const externalExamples = require('./externalExamples.js');
+const downloads = require('./downloads.js');
+const watch = require('./watch.js');
+const scaffold = require('./scaffold.js');
+const matrix = require('./matrix.js');
+const devices = require('./devices.js');
+const driverConfig = require('./driverConfig.js');
+const configSchema = require('./configSchema.js');
+
+// when screenshots are captured: never, when a scenario fails, or after every step (timeline)
+const SCREENSHOT_MODES = configSchema.SCHEMA.screenshots;
+
+// browser teardown strategies after every scenario
+const TEARDOWN_STRATEGIES = configSchema.SCHEMA.browserTeardownStrategy;
+
+// config files looked up in the current directory, the JavaScript file can compute its settings
+const CONFIG_FILE_NAMES = ['selenium-cucumber-es6.config.js', scaffold.CONFIG_FILE_NAME];
+
+// environment variable passing the config file settings given to run() on to the matrix and parallel processes
+const CONFIG_ENV_KEY = 'SELENIUM_CUCUMBER_CONFIG';
+
+// options that have a command line switch, every other option passed to run() is a config file setting
+const CLI_OPTIONS = [
+    'environment', 'steps', 'pageObjects', 'sharedObjects', 'browser', 'browserTeardown', 'reports', 'disableLaunchReport',
+    'junit', 'tags', 'featureFiles', 'timeOut', 'noScreenshot', 'screenshots', 'screenshotAnimation', 'accessibilityImpact',
+    'worldParameters', 'remoteUrl', 'headless', 'windowSize', 'locale', 'device', 'genericSteps', 'baselines', 'updateBaselines',
+    'failOnConsoleErrors', 'performanceMetrics', 'retry', 'dryRun', 'usage', 'watch', 'parallel'
+];
+
+const DEFAULT_CONFIG = {
+    environment: 'dev',
+    steps: './step-definitions',
+    pageObjects: './page-objects',
+    sharedObjects: './shared-objects',
+    featureFiles: './features',
+    reports: './reports',
+    baselines: './baselines',
+    browser: 'chrome',
+    browserTeardownStrategy: 'always',
+    timeout: 15000,
+    parallel: 1,
+    retry: 0,
+    screenshots: 'failure',
+    accessibilityImpact: 'serious',
+    failureCapture: {
+        screenshot: true,
+        url: true,
+        consoleLog: true,
+        networkErrors: true,
+        pageSource: true,
+        downloads: true
+    }
+};
+
+// resolves once the previous run has finished
+let previousRun = Promise.resolve();
+
+/**
+ * merges config settings, the failureCapture section is merged rather than replaced
+ * @param {object} config - config settings
+ * @param {object} settings - settings taking precedence
+ * @returns {object} merged config
+ */
+function mergeConfig(config, settings) {
+
+    return Object.assign(config, settings, {
+        failureCapture: Object.assign({}, config.failureCapture, settings.failureCapture)
+    });
+}
+
+/**
+ * reads the config file of the current directory, a JavaScript config file exports the settings or a function
+ * returning them (called with the name of the environment selected with -e or SCE6_ENVIRONMENT)
+ * @param {string} [environmentName] - name of the selected environment
+ * @returns {object} config settings, empty if there is no config file
+ */
+function readConfigFile(environmentName) {
+
+    let files = CONFIG_FILE_NAMES.map(function (fileName) {
+        return path.resolve(process.cwd(), fileName);
+    }).filter(function (file) {
+        return fs.isFileSync(file);
+    });
+
+    if (files.length === 0) return {};
+
+    if (files.length > 1) {
+        throw new Error('Found both ' + CONFIG_FILE_NAMES.join(' and ') + ', keep only one of them');
+    }
+
+    let fileName = path.basename(files[0]);
+    let settings;
+
+    if (path.extname(fileName) === '.js') {
+
+        // the file may have changed since a previous run within this process
+        delete require.cache[files[0]];
+
+        settings = require(files[0]);
+
+        if (typeof settings === 'function') {
+            settings = settings({ environment: environmentName });
+        }
+    }
+    else {
+        try {
+            settings = JSON.parse(fs.readFileSync(files[0], 'utf8'));
+        }
+        catch (err) {
+            throw new Error('Invalid JSON in ' + fileName + ': ' + err.message);
+        }
+    }
+
+    return configSchema.validate(settings, fileName);
+}
+
+/**
+ * returns the options passed to run() that are config file settings (not command line switches)
+ * @param {object} options - options passed to run()
+ * @returns {object} config file settings
+ */
+function getConfigSettings(options) {
+
+    let settings = {};
+
+    Object.keys(options).forEach(function (key) {
+        if (CLI_OPTIONS.indexOf(key) < 0) {
+            settings[key] = options[key];
+        }
+    });
+
+    return settings;
+}
+
+/**
+ * converts the options passed to run() into command line switches (passed on to the matrix and parallel processes)
+ * @param {object} options - options passed to run()
+ * @returns {Array<string>} command line arguments
+ */
+function toArgs(options) {
+
+    let args = [];
+
+    CLI_OPTIONS.forEach(function (key) {
+
+        let value = options[key];
+        let name = (key === 'browserTeardown') ? '--browser-teardown' : '--' + key;
+
+        if (value === undefined || value === null || value === false) return;
+
+        if (value === true) {
+            args.push(name);
+        }
+        else if (Array.isArray(value) && (key === 'tags' || key === 'sharedObjects')) {
+            value.forEach(function (item) {
+                args.push(name, String(item));
+            });
+        }
+        else {
+            args.push(name, (typeof value === 'object' && !Array.isArray(value)) ? JSON.stringify(value) : String(value));
+        }
+    });
+
+    return args;
+}
+
+/**
+ * returns the options of a run: the options passed in, otherwise their default from the config
+ * @param {object} options - command line switches or options passed to run()
+ * @param {object} config - merged config (see loadConfig)
+ * @returns {object} options
+ */
+function resolveOptions(options, config) {
+
+    let resolved = {
+        environment: config.environment,
+        steps: config.steps,
+        pageObjects: config.pageObjects,
+        sharedObjects: [].concat(config.sharedObjects),
+        // a browsers array in the config runs the suite once per browser (browser matrix)
+        browser: Array.isArray(config.browsers) ? config.browsers.join(',') : config.browser,
+        browserTeardown: config.browserTeardownStrategy,
+        reports: config.reports,
+        disableLaunchReport: config.disableLaunchReport,
+        junit: config.junit,
+        tags: [].concat(config.tags || []),
+        featureFiles: config.featureFiles,
+        timeOut: config.timeout,
+        noScreenshot: config.noScreenshot,
+        screenshots: config.screenshots,
+        screenshotAnimation: config.screenshotAnimation,
+        accessibilityImpact: config.accessibilityImpact,
+        worldParameters: config.worldParameters,
+        remoteUrl: config.remoteUrl,
+        headless: config.headless,
+        windowSize: config.windowSize,
+        locale: config.locale,
+        device: config.device,
+        genericSteps: config.genericSteps,
+        baselines: config.baselines,
+        updateBaselines: config.updateBaselines,
+        failOnConsoleErrors: config.failOnConsoleErrors,
+        performanceMetrics: config.performanceMetrics,
+        retry: config.retry,
+        dryRun: config.dryRun,
+        usage: config.usage,
+        watch: config.watch,
+        parallel: config.parallel
+    };
+
+    CLI_OPTIONS.forEach(function (key) {
+        if (options[key] !== undefined) {
+            resolved[key] = options[key];
+        }
+    });
+
+    // lists can be passed as arrays or strings
+    ['sharedObjects', 'tags'].forEach(function (key) {
+        resolved[key] = [].concat(resolved[key]);
+    });
+
+    ['browser', 'featureFiles'].forEach(function (key) {
+        if (Array.isArray(resolved[key])) {
+            resolved[key] = resolved[key].join(',');
+        }
+    });
+
+    return resolved;
+}
+
+/**
+ * works out the settings of a run and checks they are valid
+ * @param {object} options - command line switches or options passed to run()
+ * @returns {object} settings of the run (options, config, environment, browsers etc)
+ */
+function prepare(options) {
+
+    let loaded = module.exports.loadConfig(options.environment, getConfigSettings(options));
+    let settings = resolveOptions(options, loaded.config);
+
+    settings.config = loaded.config;
+    settings.environmentProfile = loaded.environment;
+
+    // browsers to run on, every browser of a matrix runs in its own process (see matrix.js)
+    settings.browsers = String(settings.browser).split(',').map(function (name) {
+        return name.trim();
+    }).filter(Boolean);
+
+    // whole numbers, at least 1 worker process
+    ['timeOut', 'retry', 'parallel'].forEach(function (key) {
+
+        let value = Number(settings[key]);
+
+        if (settings[key] === '' || !Number.isInteger(value) || value < ((key === 'parallel') ? 1 : 0)) {
+            throw new Error('Invalid ' + key + ' "' + settings[key] + '", expected a whole number' + ((key === 'parallel') ? ' greater than 0' : ''));
+        }
+
+        settings[key] = value;
+    });
+
+    if (TEARDOWN_STRATEGIES.indexOf(settings.browserTeardown) < 0) {
+        throw new Error('Unknown browser teardown strategy "' + settings.browserTeardown + '", available strategies: ' + TEARDOWN_STRATEGIES.join(', '));
+    }
+
+    // -n takes precedence over --screenshots
+    settings.screenshots = settings.noScreenshot ? 'never' : settings.screenshots;
+
+    if (SCREENSHOT_MODES.indexOf(settings.screenshots) < 0) {
+        throw new Error('Unknown screenshots mode "' + settings.screenshots + '", available modes: ' + SCREENSHOT_MODES.join(', '));
+    }
+
+    if (accessibility.IMPACT_LEVELS.indexOf(settings.accessibilityImpact) < 0) {
+        throw new Error('Unknown accessibility impact "' + settings.accessibilityImpact + '", available impacts: ' + accessibility.IMPACT_LEVELS.join(', '));
+    }
+
+    settings.customDevices = loaded.config.devices || {};
+    settings.deviceProfile = settings.device ? devices.getDevice(settings.device, settings.customDevices) : null;
+
+    settings.reportsPath = path.resolve(settings.reports);
+    settings.junitPath = path.resolve(settings.junit || settings.reports);
+    settings.featureFileList = settings.featureFiles ? settings.featureFiles.split(',') : [];
+
+    // set by parallel.js when this process runs a subset of the features on behalf of the main process
+    settings.parallelWorkerId = process.env[parallel.WORKER_ENV_KEY];
+
+    return settings;
+}
+
+/**
+ * exposes the settings of a run to world.js, helpers etc as globals
+ * @param {object} settings - settings of the run (see prepare)
+ * @returns {void}
+ */
+function applyGlobals(settings) {
+
+    // store browserName globally (used within world.js to build driver)
+    global.browserName = settings.browsers[0];
+    global.browserTeardownStrategy = settings.browserTeardown;
+
+    // used within world.js to pass launch options to the built-in drivers
+    global.headless = (settings.headless);
+    global.windowSize = driverConfig.parseWindowSize(settings.windowSize);
+    global.browserOptions = settings.config.browserOptions || {};
+
+    // used within world.js to set the language of the built-in browsers
+    global.locale = settings.locale;
+
+    // used within world.js to emulate a device (scenarios can select another one with a @device(name) tag)
+    global.customDevices = settings.customDevices;
+    global.device = settings.deviceProfile;
+
+    // used within world.js to register the bundled generic steps
+    global.genericSteps = (settings.genericSteps);
+
+    // used within world.js to build a remote driver when a selenium server/grid url is provided
+    global.remoteUrl = settings.remoteUrl;
+    global.capabilities = settings.config.capabilities || {};
+
+    // expose the selected environment profile to steps and page objects (used within world.js)
+    global.env = settings.environmentProfile;
+
+    // store Eyes Api globally (used within world.js to set Eyes)
+    global.eyesKey = settings.config.eye_key;
+
+    // used within world.js to start the mock server ({ routes, port })
+    global.mockServerOptions = settings.config.mockServer;
+
+    // used within usageFormatter.js to find the unused step definitions
+    global.stepsPath = path.resolve(settings.steps);
+
+    // used within world.js to import page objects
+    global.pageObjectPath = path.resolve(settings.pageObjects);
+
+    // used within world.js to output reports
+    global.reportsPath = settings.reportsPath;
+    if (!fs.existsSync(global.reportsPath)) {
+        fs.makeTreeSync(global.reportsPath);
+    }
+
+    // remove the downloads of the previous run, unless its browser was kept open by watch mode
+    if (!settings.dryRun && !global.driver) {
+        downloads.removeDirectories(global.reportsPath);
+    }
+
+    // used within helpers.js to compare screenshots against baseline images
+    global.baselinesPath = path.resolve(settings.baselines);
+    global.updateBaselines = (settings.updateBaselines);
+
+    // used within world.js to decide if reports should be generated
+    global.disableLaunchReport = (settings.disableLaunchReport);
+
+    // used with world.js to determine if a screenshot should be captured on error
+    global.noScreenshot = (settings.noScreenshot);
+
+    // used within world.js to decide when screenshots are captured
+    global.screenshots = settings.screenshots;
+
+    // used within world.js to stitch the each-step screenshots into an animated GIF
+    global.screenshotAnimation = (settings.screenshotAnimation);
+
+    // used within genericSteps.js to decide which accessibility violations fail a scenario
+    global.accessibilityImpact = settings.accessibilityImpact;
+
+    // used within world.js to decide what is attached to the report when a scenario fails
+    global.failureCapture = Object.assign({}, settings.config.failureCapture, (global.screenshots === 'never') ? { screenshot: false } : {});
+
+    // used within world.js to fail steps when the browser logs a SEVERE console error
+    global.failOnConsoleErrors = (settings.failOnConsoleErrors);
+
+    // used within helpers.js to read the performance metrics of every page loaded with helpers.loadPage
+    global.performanceMetrics = (settings.performanceMetrics);
+
+    // used within world.js to output junit reports
+    global.junitPath = settings.junitPath;
+    if (!fs.existsSync(global.junitPath)) {
+        fs.makeTreeSync(global.junitPath);
+    }
+
+    // set the default timeout to 10 seconds if not already globally defined or passed via the command line
+    global.DEFAULT_TIMEOUT = global.DEFAULT_TIMEOUT || settings.timeOut || 10 * 1000;
+
+    // used within world.js to import shared objects into the shared namespace
+    global.sharedObjectPaths = settings.sharedObjects.map(function (item) {
+        return path.resolve(item);
+    });
+
+    global.parallelWorkerId = settings.parallelWorkerId;
+
+    // used within world.js to keep the browser and mock server alive between runs (features run in a single process)
+    global.watch = (settings.watch) && !global.parallelWorkerId;
+
+    // a dry run only matches the steps of every feature file, so no reports are generated
+    global.dryRun = (settings.dryRun);
+
+    global.cucumber = cucumber;
+}
+
+/**
+ * returns the command line arguments of cucumber (formatters, support code, tags, world parameters etc)
+ * @param {object} settings - settings of the run (see prepare)
+ * @returns {Array<string>} cucumber arguments, without the feature files
+ */
+function getCucumberArgs(settings) {
+
+    // add switch to tell cucumber to produce json and junit report files
+    let args = ['-f', 'node_modules/cucumber-pretty'];
+
+    // a dry run leaves the reports of the last run untouched
+    if (!settings.dryRun) {
+        args.push('-f', 'json:' + path.resolve(settings.reportsPath, 'cucumber-report.json'));
+        args.push('-f', 'node_modules/cucumber-junit-formatter:' + path.resolve(settings.junitPath, 'junit-report.xml'));
+    }
+
+    // report how the features use the steps and page objects, with async snippets for the undefined steps
+    if (settings.usage) {
+        args.push('-f', path.resolve(__dirname, 'usageFormatter.js') + ':' + path.resolve(settings.reportsPath, 'usage-report.json'));
+        args.push('--format-options', JSON.stringify({ snippetInterface: 'async-await' }));
+    }
+
+    // match the steps without running them (BeforeAll hooks still run, the browser is started by the Before hook)
+    if (settings.dryRun) {
+        args.push('--dry-run');
+    }
+
+    // add cucumber world as first required script (this sets up the globals)
+    args.push('-r', path.resolve(__dirname, 'world.js'));
+
+    // add path to import step definitions
+    args.push('-r', path.resolve(settings.steps));
+
+    // add tag
+    settings.tags.forEach(function (tag) {
+        args.push('-t', tag);
+    });
+
+    // world parameters passed as options take precedence over the ones in the environment profile
+    if (settings.worldParameters || settings.environmentProfile.worldParameters) {
+        let worldParameters = settings.worldParameters || {};
+
+        if (typeof worldParameters === 'string') {
+            worldParameters = JSON.parse(worldParameters);
+        }
+
+        args.push('--world-parameters', JSON.stringify(Object.assign({}, settings.environmentProfile.worldParameters, worldParameters)));
+    }
+
+    if (settings.retry > 0) {
+        args.push('--retry', String(settings.retry));
+    }
+
+    // add strict option (fail if there are any undefined or pending steps)
+    args.push('-S');
+
+    return args;
+}
+
+/**
+ * writes the rerun file of failed scenarios and generates the HTML report from the cucumber json report
+ * @param {object} settings - settings of the run (see prepare)
+ * @returns {void}
+ */
+function generateReports(settings) {
+
+    let jsonFile = path.resolve(settings.reportsPath, 'cucumber-report.json');
+
+    reporting.writeRerunFile(jsonFile, path.resolve(settings.reportsPath, '@rerun.txt'));
+    reporting.generateHtmlReport(settings.reportsPath, !settings.disableLaunchReport);
+}
+
+/**
+ * runs cucumber within this process against a list of feature files and updates the reports
+ * @param {object} settings - settings of the run (see prepare)
+ * @param {Array<string>} featureFiles - feature files (or directories) to run
+ * @returns {Promise} resolves with true if all scenarios passed
+ */
+function runCucumber(settings, featureFiles) {
+
+    // retry failed scenarios, @retry(n) tags override the number of retries per scenario
+    retry.install();
+
+    // expand the rows of @data(file) tags into Scenario Outline examples, filtered by environment
+    externalExamples.install(settings.environmentProfile.name);
+
+    // cucumber skips the first two arguments (node and the script), which are missing when run() is called from node -e
+    let argv = [process.execPath, 'cucumber-js'].concat(featureFiles, getCucumberArgs(settings));
+    let cucumberCli = new cucumber.Cli({ argv: argv, cwd: process.cwd(), stdout: process.stdout });
+
+    global.retryResults = [];
+
+    return cucumberCli.run().then(function (result) {
+
+        if (settings.dryRun) return result.success;
+
+        // flag flaky scenarios (retryResults are collected by world.js)
+        reporting.annotateRetries(
+            path.resolve(settings.reportsPath, 'cucumber-report.json'),
+            path.resolve(settings.junitPath, 'junit-report.xml'),
+            global.retryResults);
+
+        // workers leave the rerun file and HTML report to the main process, which merges their reports
+        if (!settings.parallelWorkerId) {
+            generateReports(settings);
+        }
+
+        return result.success;
+    });
+}
+
+/**
+ * returns the results of a finished run: the result of every scenario and the paths of the reports written
+ * @param {object} settings - settings of the run (see prepare)
+ * @param {boolean} success - true if all scenarios passed
+ * @param {integer} duration - duration of the run in milliseconds
+ * @returns {object} run results
+ */
+function getResults(settings, success, duration) {
+
+    let reports = {};
+    let scenarios = [];
+    let isMatrix = settings.browsers.length > 1 && !settings.dryRun;
+
+    function addReport(name, file) {
+        if (fs.isFileSync(file)) {
+            reports[name] = file;
+        }
+    }
+
+    if (settings.usage) {
+        addReport('usage', path.resolve(settings.reportsPath, 'usage-report.json'));
+    }
+
+    if (settings.dryRun) {
+        return { success: success, duration: duration, scenarios: scenarios, reports: reports };
+    }
+
+    if (isMatrix) {
+
+        addReport('matrix', path.resolve(settings.reportsPath, 'browser-matrix.html'));
+
+        // every browser writes its reports to a sub folder
+        settings.browsers.forEach(function (browser) {
+            reporting.getScenarioResults(path.resolve(settings.reportsPath, matrix.getFolderName(browser), 'cucumber-report.json')).forEach(function (scenario) {
+                scenarios.push(Object.assign({ browser: browser }, scenario));
+            });
+        });
+    }
+    else {
+
+        addReport('json', path.resolve(settings.reportsPath, 'cucumber-report.json'));
+        addReport('html', path.resolve(settings.reportsPath, 'cucumber-report.html'));
+        addReport('rerun', path.resolve(settings.reportsPath, '@rerun.txt'));
+        addReport('accessibility', path.resolve(settings.reportsPath, 'accessibility-report.json'));
+        addReport('performance', path.resolve(settings.reportsPath, 'performance-report.json'));
+
+        scenarios = reporting.getScenarioResults(path.resolve(settings.reportsPath, 'cucumber-report.json')).map(function (scenario) {
+            return Object.assign({ browser: settings.browsers[0] }, scenario);
+        });
+    }
+
+    addReport('junit', path.resolve(settings.junitPath, 'junit-report.xml'));
+
+    return { success: success, duration: duration, scenarios: scenarios, reports: reports };
+}
+
+/**
+ * runs the suite with a set of options, restoring the globals and environment variables it changes once done
+ * @param {object} options - command line switches or options passed to run()
+ * @param {Array<string>} [args] - command line arguments passed on to the matrix and parallel processes
+ * @returns {Promise} resolves with the run results
+ */
+async function execute(options, args) {
+
+    let startTime = Date.now();
+    let globals = Object.assign({}, global);
+    let configEnv = process.env[CONFIG_ENV_KEY];
+
+    try {
+
+        let settings;
+
+        try {
+            settings = prepare(options);
+
+            if (settings.watch && !settings.parallelWorkerId) {
+                throw new Error('Watch mode keeps running, use watch(options) instead of run(options)');
+            }
+        }
+        catch (err) {
+            // invalid options and config files are reported without a stack trace by the command line
+            err.invalidSettings = true;
+            throw err;
+        }
+
+        let configSettings = getConfigSettings(options);
+        let success;
+
+        applyGlobals(settings);
+
+        // the matrix and parallel processes read the config file settings passed to run() from the environment
+        if (Object.keys(configSettings).length > 0) {
+            process.env[CONFIG_ENV_KEY] = JSON.stringify(mergeConfig(JSON.parse(configEnv || '{}'), configSettings));
+        }
+
+        args = args || toArgs(options);
+
+        // run the suite once per browser and combine their reports (dry runs use the first browser)
+        if (settings.browsers.length > 1 && !settings.parallelWorkerId && !settings.dryRun) {
+
+            success = await matrix.run({
+                browsers: settings.browsers,
+                args: args,
+                reportsPath: settings.reportsPath,
+                junitPath: settings.junitPath
+            });
+        }
+        // spread the features across worker processes and merge their reports once they all finish
+        else if (settings.parallel > 1 && !settings.parallelWorkerId && !settings.dryRun) {
+
+            success = await parallel.run({
+                workers: settings.parallel,
+                featureFiles: settings.featureFiles,
+                args: args,
+                reportsPath: settings.reportsPath,
+                junitPath: settings.junitPath
+            });
+
+            generateReports(settings);
+        }
+        else {
+
+            // load the latest step definitions, page objects and shared objects if a previous run loaded them
+            watch.fixStackTraceFilter();
+            watch.clearRequireCache([path.resolve(settings.steps), global.pageObjectPath].concat(global.sharedObjectPaths));
+
+            success = await runCucumber(settings, settings.featureFileList);
+        }
+
+        return getResults(settings, success, Date.now() - startTime);
+    }
+    finally {
+
+        if (configEnv === undefined) {
+            delete process.env[CONFIG_ENV_KEY];
+        }
+        else {
+            process.env[CONFIG_ENV_KEY] = configEnv;
+        }
+
+        // remove the globals added by the run (browser, page objects, step definition keywords etc)
+        Object.keys(global).forEach(function (key) {
+            if (!(key in globals)) {
+                delete global[key];
+            }
+        });
+
+        Object.keys(globals).forEach(function (key) {
+            if (global[key] !== globals[key]) {
+                global[key] = globals[key];
+            }
+        });
+    }
+}
+
+module.exports = {
+
+    CONFIG_ENV_KEY: CONFIG_ENV_KEY,
+
+    /**
+     * loads the config, from lowest to highest precedence: the defaults, the config file of the current directory
+     * (selenium-cucumber-es6.config.js or selenium-cucumber-es6.json), the selected environment profile, the SCE6_*
+     * environment variables and the settings passed to run(). Command line switches take precedence over the config.
+     * @param {string} [environmentName] - name of the environment profile, defaults to the environment of the config
+     * @param {object} [settings] - config settings passed to run()
+     * @returns {{config: object, environment: object}} merged config and the selected environment profile
+     */
+    loadConfig: function (environmentName, settings) {
+
+        let envSettings = configSchema.readEnvironmentVariables(process.env);
+        let name = environmentName || envSettings.environment;
+        let config = mergeConfig(mergeConfig({}, DEFAULT_CONFIG), readConfigFile(name));
+
+        // settings passed to run() by this process or by the process that started this one (matrix and parallel runs)
+        let runSettings = mergeConfig({}, JSON.parse(process.env[CONFIG_ENV_KEY] || '{}'));
+
+        if (settings) {
+            runSettings = mergeConfig(runSettings, configSchema.validate(settings, 'run() options'));
+        }
+
+        // merge the selected environment profile into the config so it provides the defaults of the options
+        let environments = runSettings.environments || config.environments;
+        let environment;
+
+        name = name || runSettings.environment || config.environment;
+        environment = { name: name };
+
+        if (environments) {
+
+            if (!environments[name]) {
+                throw new Error('Unknown environment "' + name + '", available environments: ' + Object.keys(environments).join(', '));
+            }
+
+            environment = Object.assign(environment, environments[name]);
+            config = Object.assign(config, environments[name]);
+        }
+
+        config = mergeConfig(mergeConfig(config, envSettings), runSettings);
+        config.environment = name;
+
+        return { config: config, environment: environment };
+    },
+
+    /**
+     * runs a test suite, taking the same options as the command line (e.g. featureFiles, browser, tags, headless) and
+     * the settings of the config file (e.g. browserOptions, capabilities, failureCapture), which take precedence over
+     * the config file of the current directory. Runs started while another is in progress wait for it to finish.
+     * @param {object} [options] - options of the run
+     * @param {Array<string>} [args] - command line arguments passed on to the matrix and parallel processes, built from the options by default
+     * @returns {Promise} resolves with { success, duration, scenarios, reports } scenarios are { feature, name, uri, line, tags,
+     * status, duration, flaky, browser } durations in milliseconds and reports are the paths of the reports written keyed by type
+     * (json, html, junit, rerun, accessibility, performance, usage, matrix). Rejects with an error flagged invalidSettings
+     * when the options or the config file are invalid
+     * @example
+     *      run({ featureFiles: ['./features/login.feature'], tags: ['@smoke'], headless: true }).then(function (result) {
+     *          result.scenarios.filter(function (scenario) {
+     *              return scenario.status !== 'passed';
+     *          });
+     *      });
+     */
+    run: function (options, args) {
+
+        let result = previousRun.then(function () {
+            return execute(options || {}, args);
+        });
+
+        previousRun = result.catch(function () {});
+
+        return result;
+    },
+
+    /**
+     * runs every feature, then keeps running, re-running the features affected by every change (see watch.js).
+     * The globals are kept as the browser and mock server are reused between runs.
+     * @param {object} [options] - options of the run
+     * @returns {void}
+     */
+    watch: function (options) {
+
+        let settings = prepare(Object.assign({}, options, { watch: true }));
+
+        applyGlobals(settings);
+
+        watch.start({
+            featureFiles: settings.featureFileList,
+            steps: path.resolve(settings.steps),
+            pageObjects: global.pageObjectPath,
+            sharedObjects: global.sharedObjectPaths,
+            reportsPath: settings.reportsPath,
+            run: function (featureFiles) {
+                return runCucumber(settings, featureFiles);
+            }
+        });
+    }
+};
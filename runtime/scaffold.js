@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * scaffold.js creates the files of a new test suite (used by the init and generate commands of index.js):
+ *  - init creates the features, step definitions, page objects and shared objects folders and a config file
+ *  - generate page creates a page object with a url and an elements map
+ *  - generate steps writes step definition stubs for the undefined steps of a feature (found by a dry run)
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+
+const CONFIG_FILE_NAME = 'selenium-cucumber-es6.json';
+
+// valid page object names, sub directories are separated with / or .
+const PAGE_NAME = /^[\w-]+([/.][\w-]+)*$/;
+
+/**
+ * writes a file unless it already exists
+ * @param {string} filePath - path of the file
+ * @param {string} content - content of the file
+ * @returns {boolean} true if the file was created
+ */
+function writeFileIfMissing(filePath, content) {
+
+    if (fs.existsSync(filePath)) return false;
+
+    fs.writeFileSync(filePath, content);
+
+    return true;
+}
+
+/**
+ * converts a file name to camel case, e.g. google-search becomes googleSearch
+ * @param {string} name - file name without extension
+ * @returns {string} camel case name
+ */
+function toCamelCase(name) {
+    return name.replace(/[-_\s]+(\w)/g, function (match, letter) {
+        return letter.toUpperCase();
+    });
+}
+
+/**
+ * returns the content of the config file created by init
+ * @param {object} config - default paths and settings
+ * @returns {string} JSON content
+ */
+function buildConfigFile(config) {
+
+    let content = {
+        steps: config.steps,
+        pageObjects: config.pageObjects,
+        sharedObjects: config.sharedObjects,
+        featureFiles: config.featureFiles,
+        reports: config.reports,
+        browser: config.browser,
+        timeout: config.timeout,
+        environment: config.environment,
+        environments: {}
+    };
+
+    content.environments[config.environment] = {
+        baseUrl: 'http://localhost',
+        worldParameters: {}
+    };
+
+    return JSON.stringify(content, null, 4) + '\n';
+}
+
+/**
+ * returns the content of a new page object
+ * @param {string} name - name of the page object
+ * @returns {string} javascript source
+ */
+function buildPageObject(name) {
+
+    return [
+        'module.exports = {',
+        '',
+        '    url: \'/' + name.split('.').pop() + '\',',
+        '',
+        '    elements: {',
+        '        // title: \'h1\',',
+        '        // submitButton: by.css(\'button[type="submit"]\')',
+        '    }',
+        '};',
+        ''
+    ].join('\n');
+}
+
+/**
+ * indents a cucumber snippet with 4 spaces (cucumber indents them with 2)
+ * @param {string} snippet - step definition snippet
+ * @returns {string} indented snippet
+ */
+function formatSnippet(snippet) {
+    return snippet.replace(/^((?: {2})+)/gm, function (indent) {
+        return indent + indent;
+    });
+}
+
+module.exports = {
+
+    CONFIG_FILE_NAME: CONFIG_FILE_NAME,
+
+    /**
+     * creates the folders of a new test suite and its config file, existing files are left untouched
+     * @param {string} cwd - directory of the test suite
+     * @param {object} config - default paths and settings (steps, pageObjects, sharedObjects, featureFiles, reports etc)
+     * @returns {Array<{path: string, created: boolean}>} folders and files, created false if they already existed
+     */
+    init: function (cwd, config) {
+
+        let results = [config.featureFiles, config.steps, config.pageObjects, config.sharedObjects].map(function (dir) {
+
+            let dirPath = path.resolve(cwd, dir);
+            let created = !fs.existsSync(dirPath);
+
+            fs.makeTreeSync(dirPath);
+
+            return { path: dirPath, created: created };
+        });
+
+        let configFile = path.resolve(cwd, CONFIG_FILE_NAME);
+
+        results.push({ path: configFile, created: writeFileIfMissing(configFile, buildConfigFile(config)) });
+
+        return results;
+    },
+
+    /**
+     * creates a page object with a url and an elements map
+     * @param {string} pageObjectPath - page objects folder
+     * @param {string} name - name of the page object, sub directories are separated with / or . (e.g. checkout/payment)
+     * @returns {string} path of the page object
+     */
+    generatePage: function (pageObjectPath, name) {
+
+        if (!name || !PAGE_NAME.test(name)) {
+            throw new Error('Invalid page object name "' + (name || '') + '", use letters, digits, - and _ (sub directories separated with /)');
+        }
+
+        let pageName = name.replace(/\//g, '.');
+        let filePath = path.resolve(pageObjectPath, pageName.split('.').join(path.sep) + '.js');
+
+        if (fs.existsSync(filePath)) {
+            throw new Error('Page object already exists: ' + filePath);
+        }
+
+        fs.makeTreeSync(path.dirname(filePath));
+        fs.writeFileSync(filePath, buildPageObject(pageName));
+
+        return filePath;
+    },
+
+    /**
+     * writes the snippets of the undefined steps found by a dry run to the step definitions of a feature,
+     * e.g. features/google-search.feature goes to step-definitions/googleSearchSteps.js (appended if it already exists)
+     * @param {string} usageReportFile - path of usage-report.json written by the dry run
+     * @param {string} stepsPath - step definitions folder
+     * @param {string} featureFile - path of the feature file
+     * @returns {{path: string, steps: integer, ambiguous: integer}} path of the step definitions, the number of stubs written
+     * and the number of ambiguous steps found by the dry run
+     */
+    generateSteps: function (usageReportFile, stepsPath, featureFile) {
+
+        let report = JSON.parse(fs.readFileSync(usageReportFile, 'utf8'));
+        let fileName = toCamelCase(path.basename(featureFile, path.extname(featureFile))) + 'Steps.js';
+        let filePath = path.resolve(stepsPath, fileName);
+
+        if (report.undefined.length > 0) {
+
+            let content = report.undefined.map(function (step) {
+                return formatSnippet(step.snippet);
+            }).join('\n\n') + '\n';
+
+            fs.makeTreeSync(stepsPath);
+
+            if (fs.existsSync(filePath)) {
+                fs.appendFileSync(filePath, '\n' + content);
+            }
+            else {
+                fs.writeFileSync(filePath, content);
+            }
+        }
+
+        return { path: filePath, steps: report.undefined.length, ambiguous: report.ambiguous.length };
+    }
+};
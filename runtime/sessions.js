@@ -0,0 +1,182 @@
+'use strict';
+
+const driverConfig = require('./driverConfig.js');
+const windows = require('./windows.js');
+const downloads = require('./downloads.js');
+const helpers = require('./helpers.js');
+
+// name of the session created for every scenario by world.js
+const DEFAULT_SESSION = 'default';
+
+/**
+ * Named browser sessions within a scenario, used to test several users interacting with each other (e.g. a chat).
+ * The active session is the global driver, so helpers, page objects and step definitions act on the browser of the
+ * session selected with use(). The default session is the browser created for every scenario by world.js, other
+ * sessions are started with the browser configuration of the scenario and torn down with its teardown strategy.
+ *
+ * @example
+ *      await sessions.open('alice');
+ *      await helpers.loadPage(page.chat.url);
+ *      await sessions.open('bob');
+ *      await helpers.loadPage(page.chat.url);
+ *      sessions.use('alice');
+ */
+class Sessions {
+
+    /**
+     * @param {function} createDriver - returns a promise resolving with a new driver for a browser configuration
+     */
+    constructor(createDriver) {
+        this.createDriver = createDriver;
+        this.drivers = {};
+        this.configs = {};
+        this.activeName = DEFAULT_SESSION;
+    }
+
+    /**
+     * name of the active session
+     * @returns {string} session name
+     */
+    get active() {
+        return this.activeName;
+    }
+
+    /**
+     * starts a browser for a session (unless it is already open) and makes it the active session
+     * @param {string} name - name of the session, e.g. alice
+     * @returns {Promise} resolves with the driver of the session
+     */
+    async open(name) {
+
+        let config = global.scenarioConfig;
+
+        if (name !== DEFAULT_SESSION) {
+
+            // a browser kept open by a previous scenario is only reused with the same configuration
+            if (this.drivers[name] && !driverConfig.isSameBrowser(this.configs[name], config)) {
+                await this.close(name);
+            }
+
+            if (!this.drivers[name]) {
+                this.drivers[name] = await this.createDriver(config);
+                this.configs[name] = config;
+            }
+        }
+
+        return this.use(name);
+    }
+
+    /**
+     * makes an open session the active one
+     * @param {string} name - name of the session
+     * @returns {ThenableWebDriver} driver of the session
+     */
+    use(name) {
+
+        if (name === this.activeName) return global.driver;
+
+        if (name !== DEFAULT_SESSION && !this.drivers[name]) {
+            throw new Error('Unknown browser session "' + name + '", start it with sessions.open(\'' + name + '\')');
+        }
+
+        // the global driver holds the active session
+        this.drivers[this.activeName] = global.driver;
+        this.activeName = name;
+        global.driver = this.drivers[name] || null;
+
+        return global.driver;
+    }
+
+    /**
+     * returns the names of the open sessions, the default session first
+     * @returns {Array<string>} session names
+     */
+    list() {
+
+        let self = this;
+
+        this.drivers[this.activeName] = global.driver;
+
+        return Object.keys(this.drivers).filter(function (name) {
+            return !!self.drivers[name];
+        }).sort(function (a, b) {
+            return (b === DEFAULT_SESSION) - (a === DEFAULT_SESSION);
+        });
+    }
+
+    /**
+     * closes the browser of a session, the default session becomes active if the session was active
+     * @param {string} name - name of the session (other than default, which is closed by world.js)
+     * @returns {Promise} resolves once closed
+     */
+    async close(name) {
+
+        if (name === DEFAULT_SESSION) {
+            throw new Error('The default browser session is closed by the teardown strategy');
+        }
+
+        if (this.activeName === name) {
+            this.use(DEFAULT_SESSION);
+        }
+
+        let driver = this.drivers[name];
+
+        delete this.drivers[name];
+        delete this.configs[name];
+
+        if (driver) {
+            await driver.quit();
+        }
+    }
+
+    /**
+     * makes the default session active again and tears down the other sessions after a scenario
+     * @param {string} strategy - teardown strategy of the scenario (always, clear or none)
+     * @returns {Promise} resolves once done
+     */
+    async teardown(strategy) {
+
+        this.use(DEFAULT_SESSION);
+
+        let names = this.list().filter(function (name) {
+            return name !== DEFAULT_SESSION;
+        });
+
+        for (let i = 0; i < names.length; i++) {
+
+            switch (strategy) {
+                case 'none':
+                    // browsers kept open go back to their main window and empty their download folder
+                    downloads.reset(this.drivers[names[i]]);
+                    await windows.reset(this.drivers[names[i]]);
+                    break;
+                case 'clear':
+                    downloads.reset(this.drivers[names[i]]);
+                    await windows.reset(this.drivers[names[i]]);
+                    this.use(names[i]);
+
+                    try {
+                        await helpers.clearCookiesAndStorages();
+                    }
+                    finally {
+                        this.use(DEFAULT_SESSION);
+                    }
+                    break;
+                default:
+                    await this.close(names[i]);
+            }
+        }
+    }
+
+    /**
+     * closes every session other than the default one
+     * @returns {Promise} resolves once closed
+     */
+    closeAll() {
+        return this.teardown('always');
+    }
+}
+
+Sessions.DEFAULT_SESSION = DEFAULT_SESSION;
+
+module.exports = Sessions;
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * timeline.js saves the screenshots taken after every step (--screenshots each-step) and turns them
+ * into a per-scenario timeline shown in the HTML report, optionally stitched into an animated GIF
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const PNG = require('pngjs').PNG;
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+const diagnostics = require('./diagnostics.js');
+
+// folder within the reports folder where the screenshots of each scenario are written
+const TIMELINE_FOLDER = 'timeline';
+
+// width of the thumbnails shown in the HTML report
+const THUMBNAIL_WIDTH = 240;
+
+// time each step is shown for within the animated GIF (milliseconds)
+const FRAME_DELAY = 1000;
+
+/**
+ * converts a name into a safe file/folder name
+ * @param {string} name - name to convert
+ * @returns {string} file name without extension
+ */
+function toFileName(name) {
+    return String(name).trim().replace(/[^a-z0-9_\-.]+/gi, '-');
+}
+
+/**
+ * formats a duration in milliseconds as seconds
+ * @param {number} duration - duration in milliseconds
+ * @returns {string} formatted duration, e.g. 1.25s
+ */
+function formatDuration(duration) {
+    return (duration / 1000).toFixed(2) + 's';
+}
+
+module.exports = {
+
+    formatDuration: formatDuration,
+
+    /**
+     * creates the folder that holds the screenshots of a scenario
+     * @param {string} reportsPath - reports folder
+     * @param {object} scenario - scenario passed to the Before hook
+     * @returns {string} path of the folder relative to the reports folder
+     */
+    createScenarioFolder: function (reportsPath, scenario) {
+
+        // scenarios can run more than once (retries, examples sharing a name) so the start time keeps folders unique
+        let folderName = toFileName(path.basename(scenario.sourceLocation.uri, '.feature') + '-' + scenario.sourceLocation.line + '-' + Date.now());
+        let relativePath = TIMELINE_FOLDER + '/' + folderName;
+
+        fs.makeTreeSync(path.resolve(reportsPath, relativePath));
+
+        return relativePath;
+    },
+
+    /**
+     * writes the screenshot taken after a step
+     * @param {string} reportsPath - reports folder
+     * @param {string} folder - scenario folder relative to the reports folder
+     * @param {integer} index - position of the step within the scenario (starting at 1)
+     * @param {Buffer} png - screenshot
+     * @returns {string} path of the screenshot relative to the reports folder
+     */
+    writeFrame: function (reportsPath, folder, index, png) {
+
+        let relativePath = folder + '/' + ('0' + index).slice(-2) + '.png';
+
+        fs.writeFileSync(path.resolve(reportsPath, relativePath), png);
+
+        return relativePath;
+    },
+
+    /**
+     * renders the steps of a scenario as a strip of thumbnails linking to the full size screenshots
+     * @param {Array<{index: integer, name: string, status: string, duration: number, file: string}>} frames - steps of the scenario, file is relative to the reports folder
+     * @param {string} [animation] - path of the animated GIF relative to the reports folder
+     * @returns {string} HTML
+     */
+    renderTimeline: function (frames, animation) {
+
+        let html = frames.map(function (frame) {
+
+            let caption = frame.index + '. ' + diagnostics.escapeHtml(frame.name) + ' (' + formatDuration(frame.duration) + ')';
+            let color = (frame.status === 'failed') ? '#d9534f' : '#5cb85c';
+
+            return '<figure style="display:inline-block;vertical-align:top;margin:0 8px 8px 0;width:' + THUMBNAIL_WIDTH + 'px;white-space:normal">' +
+                '<a href="' + frame.file + '" target="_blank"><img src="' + frame.file + '" style="width:100%;border-top:4px solid ' + color + '"></a>' +
+                '<figcaption>' + caption + '</figcaption></figure>';
+        }).join('');
+
+        if (animation) {
+            html += '<div><a href="' + animation + '" target="_blank">Animated timeline</a></div>';
+        }
+
+        return '<div>' + html + '</div>';
+    },
+
+    /**
+     * stitches the screenshots of a scenario into an animated GIF. Screenshots that are not the same size
+     * as the first one (e.g. the window was resized) are skipped
+     * @param {string} reportsPath - reports folder
+     * @param {string} folder - scenario folder relative to the reports folder
+     * @param {Array<{file: string}>} frames - steps of the scenario, file is relative to the reports folder
+     * @returns {string} path of the GIF relative to the reports folder, otherwise null if there are no frames
+     */
+    writeAnimation: function (reportsPath, folder, frames) {
+
+        let gif = GIFEncoder();
+        let width, height;
+
+        frames.forEach(function (frame) {
+
+            let image = PNG.sync.read(fs.readFileSync(path.resolve(reportsPath, frame.file)));
+
+            width = width || image.width;
+            height = height || image.height;
+
+            if (image.width !== width || image.height !== height) return;
+
+            let palette = quantize(image.data, 256);
+
+            gif.writeFrame(applyPalette(image.data, palette), width, height, { palette: palette, delay: FRAME_DELAY });
+        });
+
+        if (!width) return null;
+
+        gif.finish();
+
+        let relativePath = folder + '/timeline.gif';
+
+        fs.writeFileSync(path.resolve(reportsPath, relativePath), Buffer.from(gif.bytes()));
+
+        return relativePath;
+    }
+};
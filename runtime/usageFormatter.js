@@ -0,0 +1,334 @@
+'use strict';
+
+/**
+ * usageFormatter.js is a cucumber formatter (added by the --usage switch, usually with --dryRun) reporting how the
+ * feature files use the registered steps: the call count of every step definition, the unused step definitions,
+ * the undefined steps (with a snippet to implement them) and the ambiguous steps. It also lists the page object
+ * methods and elements that are never referenced. The report is printed to the console and written as JSON.
+ *
+ * Page object members are found by searching the step definitions, page objects and shared objects for property
+ * access (e.g. .preformSearch or elements.searchInput), and the feature files for quoted names used by the generic steps.
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const chalk = require('chalk');
+const { Formatter, Status, formatterHelpers } = require('cucumber');
+
+/**
+ * lists the javascript files within a directory
+ * @param {string} dir - directory to search
+ * @returns {Array<string>} absolute file paths
+ */
+function listSourceFiles(dir) {
+
+    if (!dir || !fs.isDirectorySync(dir)) return [];
+
+    return fs.listTreeSync(dir).filter(function (file) {
+        return fs.isFileSync(file) && path.extname(file) === '.js';
+    });
+}
+
+/**
+ * escapes text so it can be used within a regular expression
+ * @param {string} text - text to escape
+ * @returns {string} escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * returns true if a member is accessed as a property within any of the sources, e.g. .name or ['name']
+ * @param {string} sources - content of the step definitions, page objects and shared objects
+ * @param {string} prefix - text expected before the property access, e.g. elements
+ * @param {string} name - name of the member
+ * @returns {boolean} true if referenced
+ */
+function isPropertyReferenced(sources, prefix, name) {
+
+    let key = escapeRegExp(name);
+
+    return new RegExp(prefix + '\\s*(\\.\\s*' + key + '\\b|\\[\\s*[\'"`]' + key + '[\'"`]\\s*\\])').test(sources);
+}
+
+/**
+ * formats the location of a step definition or feature step relative to the current directory
+ * @param {string} uri - file path
+ * @param {integer} line - line number
+ * @returns {string} location, e.g. step-definitions/googleSearchSteps.js:12
+ */
+function formatLocation(uri, line) {
+    return path.relative(process.cwd(), path.resolve(uri)) + ':' + line;
+}
+
+/**
+ * Cucumber formatter writing the usage report to its output stream (reports/usage-report.json)
+ */
+class UsageFormatter extends Formatter {
+
+    /**
+     * @param {object} options - formatter options provided by cucumber
+     */
+    constructor(options) {
+        super(options);
+        options.eventBroadcaster.on('test-run-finished', this.logUsage.bind(this));
+    }
+
+    /**
+     * builds the usage report, prints it and writes it as JSON
+     * @returns {void}
+     */
+    logUsage() {
+
+        let stepsPath = global.stepsPath;
+        let steps = this.getStepUsage();
+        let issues = this.collectIssues();
+        let pageObjects = this.getPageObjectUsage(steps);
+
+        // step definitions matching ambiguous steps are reported as ambiguous rather than unused
+        let ambiguousLocations = issues.ambiguous.reduce(function (locations, step) {
+            return locations.concat(step.stepDefinitions.map(function (stepDefinition) {
+                return stepDefinition.location;
+            }));
+        }, []);
+
+        // unused steps are only reported for the project step definitions, not the bundled generic steps
+        let unused = steps.filter(function (step) {
+            return step.calls === 0 && ambiguousLocations.indexOf(step.location) < 0 &&
+                (!stepsPath || path.resolve(step.location.replace(/:\d+$/, '')).indexOf(stepsPath) === 0);
+        });
+
+        let report = {
+            summary: {
+                stepDefinitions: steps.length,
+                unused: unused.length,
+                undefined: issues.undefined.length,
+                ambiguous: issues.ambiguous.length,
+                unreferencedPageObjectMembers: pageObjects.unreferencedMethods.length + pageObjects.unreferencedElements.length
+            },
+            steps: steps,
+            unused: unused,
+            undefined: issues.undefined,
+            ambiguous: issues.ambiguous,
+            pageObjects: pageObjects
+        };
+
+        this.printUsage(report);
+        this.log(JSON.stringify(report, null, 2));
+    }
+
+    /**
+     * returns the call count and matching feature steps of every step definition, most used first
+     * @returns {Array<object>} list of { pattern, location, calls, matches }
+     */
+    getStepUsage() {
+
+        let usage = formatterHelpers.getUsage({
+            stepDefinitions: this.supportCodeLibrary.stepDefinitions,
+            eventDataCollector: this.eventDataCollector
+        });
+
+        return usage.map(function (stepDefinition) {
+            return {
+                pattern: stepDefinition.pattern,
+                location: formatLocation(stepDefinition.uri, stepDefinition.line),
+                calls: stepDefinition.matches.length,
+                matches: stepDefinition.matches.map(function (match) {
+                    return { text: match.text, location: formatLocation(match.uri, match.line) };
+                })
+            };
+        }).sort(function (a, b) {
+            return b.calls - a.calls;
+        });
+    }
+
+    /**
+     * returns the undefined steps (grouped by snippet) and the ambiguous steps (grouped by text)
+     * @returns {object} { undefined, ambiguous } lists of { text, locations } with the snippet or the matching step definitions
+     */
+    collectIssues() {
+
+        let self = this;
+        let undefinedSteps = {};
+        let ambiguousSteps = {};
+
+        this.eventDataCollector.getTestCaseAttempts().forEach(function (testCaseAttempt) {
+
+            let parsed = formatterHelpers.parseTestCaseAttempt({
+                snippetBuilder: self.snippetBuilder,
+                testCaseAttempt: testCaseAttempt
+            });
+
+            parsed.testSteps.forEach(function (testStep) {
+
+                if (!testStep.sourceLocation) return;
+
+                let location = formatLocation(testStep.sourceLocation.uri, testStep.sourceLocation.line);
+
+                if (testStep.result.status === Status.UNDEFINED) {
+
+                    undefinedSteps[testStep.snippet] = undefinedSteps[testStep.snippet] || {
+                        text: testStep.keyword.trim() + ' ' + testStep.text,
+                        snippet: testStep.snippet,
+                        locations: []
+                    };
+
+                    addLocation(undefinedSteps[testStep.snippet].locations, location);
+                }
+                else if (testStep.result.status === Status.AMBIGUOUS) {
+
+                    ambiguousSteps[testStep.text] = ambiguousSteps[testStep.text] || {
+                        text: testStep.keyword.trim() + ' ' + testStep.text,
+                        stepDefinitions: self.getMatchingStepDefinitions(testStep.text),
+                        locations: []
+                    };
+
+                    addLocation(ambiguousSteps[testStep.text].locations, location);
+                }
+            });
+        });
+
+        /**
+         * adds a location to a list unless already present (outlines run the same step once per example)
+         * @param {Array<string>} locations - list of locations
+         * @param {string} location - location to add
+         * @returns {void}
+         */
+        function addLocation(locations, location) {
+            if (locations.indexOf(location) < 0) locations.push(location);
+        }
+
+        return {
+            undefined: Object.keys(undefinedSteps).map(function (key) {
+                return undefinedSteps[key];
+            }),
+            ambiguous: Object.keys(ambiguousSteps).map(function (key) {
+                return ambiguousSteps[key];
+            })
+        };
+    }
+
+    /**
+     * returns the step definitions matching the text of a step
+     * @param {string} text - text of the step, without its keyword
+     * @returns {Array<object>} list of { pattern, location }
+     */
+    getMatchingStepDefinitions(text) {
+
+        return this.supportCodeLibrary.stepDefinitions.filter(function (stepDefinition) {
+            return stepDefinition.matchesStepName(text);
+        }).map(function (stepDefinition) {
+            return {
+                pattern: stepDefinition.expression.source,
+                location: formatLocation(stepDefinition.uri, stepDefinition.line)
+            };
+        });
+    }
+
+    /**
+     * returns the page object methods and elements that are never referenced
+     * @param {Array<object>} steps - step usage (the generic steps refer to elements by quoted name within the feature steps)
+     * @returns {object} { methods, elements, unreferencedMethods, unreferencedElements } lists of names, e.g. googleSearch.preformSearch
+     */
+    getPageObjectUsage(steps) {
+
+        let pageObjectPath = global.pageObjectPath;
+        let result = { methods: [], elements: [], unreferencedMethods: [], unreferencedElements: [] };
+
+        let sources = [global.stepsPath, pageObjectPath].concat(global.sharedObjectPaths || []).reduce(function (files, dir) {
+            return files.concat(listSourceFiles(dir));
+        }, []).map(function (file) {
+            return fs.readFileSync(file, 'utf8');
+        }).join('\n');
+
+        let stepTexts = steps.reduce(function (texts, step) {
+            return texts.concat(step.matches.map(function (match) {
+                return match.text;
+            }));
+        }, []).join('\n');
+
+        listSourceFiles(pageObjectPath).forEach(function (file) {
+
+            // page objects have already been loaded (and their elements wrapped) by world.js
+            let pageObject = require(file);
+            let relativePath = path.relative(pageObjectPath, file);
+            let name = relativePath.substr(0, relativePath.length - path.extname(relativePath).length).split(path.sep).join('.');
+
+            if (!pageObject || typeof pageObject !== 'object') return;
+
+            Object.keys(pageObject).forEach(function (key) {
+
+                if (typeof pageObject[key] !== 'function') return;
+
+                result.methods.push(name + '.' + key);
+
+                if (!isPropertyReferenced(sources, '', key)) {
+                    result.unreferencedMethods.push(name + '.' + key);
+                }
+            });
+
+            Object.keys(pageObject.elements || {}).forEach(function (key) {
+
+                result.elements.push(name + '.elements.' + key);
+
+                if (!isPropertyReferenced(sources, 'elements', key) && stepTexts.indexOf('"' + key + '"') < 0) {
+                    result.unreferencedElements.push(name + '.elements.' + key);
+                }
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * prints the usage report to the console
+     * @param {object} report - usage report
+     * @returns {void}
+     */
+    printUsage(report) {
+
+        let lines = ['', chalk.bold('Step usage')];
+
+        report.steps.forEach(function (step) {
+            lines.push('  ' + (String(step.calls) + 'x').padStart(5) + '  ' + step.pattern + chalk.gray('  ' + step.location));
+        });
+
+        lines.push('', chalk.bold('Unused steps (' + report.unused.length + ')'));
+
+        report.unused.forEach(function (step) {
+            lines.push('  ' + chalk.yellow(step.pattern) + chalk.gray('  ' + step.location));
+        });
+
+        lines.push('', chalk.bold('Undefined steps (' + report.undefined.length + ')'));
+
+        report.undefined.forEach(function (step) {
+            lines.push('  ' + chalk.red(step.text) + chalk.gray('  ' + step.locations.join(', ')));
+            lines.push(step.snippet.replace(/^/gm, '    '));
+        });
+
+        lines.push('', chalk.bold('Ambiguous steps (' + report.ambiguous.length + ')'));
+
+        report.ambiguous.forEach(function (step) {
+            lines.push('  ' + chalk.red(step.text) + chalk.gray('  ' + step.locations.join(', ')));
+
+            step.stepDefinitions.forEach(function (stepDefinition) {
+                lines.push('    - ' + stepDefinition.pattern + chalk.gray('  ' + stepDefinition.location));
+            });
+        });
+
+        lines.push('', chalk.bold('Unreferenced page object members (' + report.summary.unreferencedPageObjectMembers + ')'));
+
+        report.pageObjects.unreferencedMethods.forEach(function (name) {
+            lines.push('  ' + chalk.yellow(name + '()'));
+        });
+
+        report.pageObjects.unreferencedElements.forEach(function (name) {
+            lines.push('  ' + chalk.yellow(name));
+        });
+
+        console.log(lines.join('\n') + '\n');
+    }
+}
+
+module.exports = UsageFormatter;
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * visual.js compares screenshots against baseline PNG images stored on disk (used by helpers.matchScreenshot)
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const PNG = require('pngjs').PNG;
+const pixelmatch = require('pixelmatch');
+
+// per pixel color distance (0 to 1) below which two pixels are considered equal
+const PIXEL_THRESHOLD = 0.1;
+
+/**
+ * converts a screenshot name into a safe file name
+ * @param {string} name - screenshot name
+ * @returns {string} file name without extension
+ */
+function toFileName(name) {
+    return String(name).trim().replace(/[^a-z0-9_\-.]+/gi, '-');
+}
+
+/**
+ * compares two PNG images
+ * @param {Buffer} baseline - baseline PNG
+ * @param {Buffer} actual - actual PNG
+ * @returns {{diffRatio: number, diff: Buffer}} proportion of pixels that differ (0 to 1) and a PNG highlighting them
+ */
+function compareImages(baseline, actual) {
+
+    let baselineImage = PNG.sync.read(baseline);
+    let actualImage = PNG.sync.read(actual);
+
+    // images of different sizes are entirely different
+    if (baselineImage.width !== actualImage.width || baselineImage.height !== actualImage.height) {
+        return { diffRatio: 1, diff: null };
+    }
+
+    let width = actualImage.width;
+    let height = actualImage.height;
+    let diffImage = new PNG({ width: width, height: height });
+
+    let diffPixels = pixelmatch(baselineImage.data, actualImage.data, diffImage.data, width, height, { threshold: PIXEL_THRESHOLD });
+
+    return {
+        diffRatio: diffPixels / (width * height),
+        diff: PNG.sync.write(diffImage)
+    };
+}
+
+module.exports = {
+
+    /**
+     * compares a screenshot against its baseline, creating the baseline if it does not exist (or update is true)
+     * @param {string} name - screenshot name, used as the baseline file name
+     * @param {Buffer} screenshot - actual PNG
+     * @param {object} options - comparison options
+     * @param {string} options.baselinesPath - directory containing the baseline images
+     * @param {string} options.outputPath - directory where actual and diff images are written on mismatch
+     * @param {number} [options.threshold] - proportion of pixels (0 to 1) allowed to differ. defaults to 0
+     * @param {boolean} [options.update] - true to replace the baseline with the screenshot
+     * @returns {object} { match, created, diffRatio, baseline, actual, diff } baseline/actual/diff are PNG buffers
+     */
+    compareScreenshot: function (name, screenshot, options) {
+
+        let fileName = toFileName(name);
+        let baselineFile = path.resolve(options.baselinesPath, fileName + '.png');
+
+        if (options.update || !fs.isFileSync(baselineFile)) {
+            fs.writeFileSync(baselineFile, screenshot);
+
+            return { match: true, created: true, diffRatio: 0 };
+        }
+
+        let baseline = fs.readFileSync(baselineFile);
+        let result = compareImages(baseline, screenshot);
+        let match = result.diffRatio <= (options.threshold || 0);
+
+        if (!match) {
+            fs.writeFileSync(path.resolve(options.outputPath, fileName + '.actual.png'), screenshot);
+
+            if (result.diff) {
+                fs.writeFileSync(path.resolve(options.outputPath, fileName + '.diff.png'), result.diff);
+            }
+        }
+
+        return {
+            match: match,
+            created: false,
+            diffRatio: result.diffRatio,
+            baseline: baseline,
+            actual: screenshot,
+            diff: result.diff
+        };
+    }
+};
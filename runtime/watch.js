@@ -0,0 +1,394 @@
+'use strict';
+
+/**
+ * watch.js keeps cucumber running within the same process (and therefore the same browser) and re-runs the features
+ * affected by every change to the features, step definitions, page objects and shared objects:
+ *  - a feature file (or a data file it uses) re-runs that feature
+ *  - a step definition file re-runs the features whose steps matched one of its steps during the previous runs
+ *  - a page/shared object re-runs the features using the step definitions (or page objects) that reference it
+ */
+
+const fs = require('fs-plus');
+const path = require('path');
+const StackTraceFilter = require('cucumber/lib/stack_trace_filter').default;
+const stackChain = require(require.resolve('stack-chain', { paths: [path.dirname(require.resolve('cucumber'))] }));
+
+// time to wait for more changes before re-running (editors often write files several times)
+const DEBOUNCE_DELAY = 300;
+
+// runtime modules that register step definitions or hooks, required again before every run
+const SUPPORT_MODULES = ['world.js', 'genericSteps.js'].map(function (file) {
+    return path.resolve(__dirname, file);
+});
+
+/**
+ * returns true if a file is within a directory (or is that file)
+ * @param {string} file - absolute file path
+ * @param {string} dir - absolute directory or file path
+ * @returns {boolean} true if within
+ */
+function isWithin(file, dir) {
+    let relativePath = path.relative(dir, file);
+
+    return relativePath === '' || (relativePath.indexOf('..') !== 0 && !path.isAbsolute(relativePath));
+}
+
+/**
+ * lists the files within a list of files/directories
+ * @param {Array<string>} paths - files or directories
+ * @returns {Array<string>} absolute file paths
+ */
+function listFiles(paths) {
+
+    let files = [];
+
+    paths.forEach(function (item) {
+        if (fs.isDirectorySync(item)) {
+            files = files.concat(fs.listTreeSync(item).filter(function (file) {
+                return fs.isFileSync(file);
+            }));
+        }
+        else if (fs.isFileSync(item)) {
+            files.push(item);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * returns the name a page/shared object is exposed as, e.g. ./page-objects/dir/googleSearch.js becomes dir.googleSearch
+ * @param {string} file - absolute path of the object
+ * @param {string} root - directory the object was loaded from
+ * @returns {string} object name
+ */
+function getObjectName(file, root) {
+
+    let relativePath = path.relative(root, file);
+
+    return relativePath.substr(0, relativePath.length - path.extname(relativePath).length).split(path.sep).join('.');
+}
+
+/**
+ * removes the step definitions, page objects, shared objects and runtime modules from the require cache
+ * so cucumber and world.js load the latest version of them
+ * @param {Array<string>} paths - step definition, page object and shared object paths
+ * @returns {void}
+ */
+function clearRequireCache(paths) {
+
+    Object.keys(require.cache).forEach(function (file) {
+
+        let isSupportFile = SUPPORT_MODULES.indexOf(file) > -1 || paths.some(function (dir) {
+            return isWithin(file, dir);
+        });
+
+        if (isSupportFile) {
+            delete require.cache[file];
+        }
+    });
+}
+
+/**
+ * cucumber never removes the stack trace filter it adds for every run (it expects stack-chain's attach to return
+ * the filter but it returns nothing). Once the filter of a previous run is left attached, cucumber can no longer
+ * work out the location of the step definitions loaded by the next run, so the filter is captured as it is attached
+ * @returns {void}
+ */
+function fixStackTraceFilter() {
+
+    let filter = StackTraceFilter.prototype.filter;
+
+    if (filter.watchInstalled) return;
+
+    StackTraceFilter.prototype.filter = function () {
+
+        let attach = stackChain.filter.attach;
+        let modifier;
+
+        stackChain.filter.attach = function (fn) {
+            modifier = fn;
+            return attach.call(this, fn);
+        };
+
+        try {
+            filter.call(this);
+        }
+        finally {
+            stackChain.filter.attach = attach;
+        }
+
+        this.currentFilter = modifier;
+    };
+
+    StackTraceFilter.prototype.filter.watchInstalled = true;
+}
+
+/**
+ * Tracks which step definition files each feature uses (from the json report of every run)
+ * and works out the features affected by a list of changed files
+ */
+class DependencyIndex {
+
+    /**
+     * @param {object} options - watch options (see start)
+     */
+    constructor(options) {
+        this.options = options;
+        this.featureSteps = {};
+    }
+
+    /**
+     * records the step definition files used by the features of the last run
+     * @param {string} jsonFile - path of cucumber-report.json
+     * @returns {void}
+     */
+    update(jsonFile) {
+
+        let self = this;
+        let content = fs.isFileSync(jsonFile) ? fs.readFileSync(jsonFile, 'utf8') : '';
+        let features = (content.trim() !== '') ? JSON.parse(content) : [];
+
+        features.forEach(function (feature) {
+
+            let stepFiles = {};
+
+            (feature.elements || []).forEach(function (element) {
+                (element.steps || []).forEach(function (step) {
+                    if (step.match && step.match.location) {
+                        stepFiles[path.resolve(step.match.location.replace(/:\d+$/, ''))] = true;
+                    }
+                });
+            });
+
+            self.featureSteps[path.resolve(feature.uri)] = Object.keys(stepFiles);
+        });
+    }
+
+    /**
+     * returns the features that used any of a list of step definition files
+     * @param {Array<string>} stepFiles - absolute paths of step definition files
+     * @returns {Array<string>} feature file paths
+     */
+    getFeaturesUsingSteps(stepFiles) {
+
+        let featureSteps = this.featureSteps;
+
+        return Object.keys(featureSteps).filter(function (feature) {
+            return featureSteps[feature].some(function (file) {
+                return stepFiles.indexOf(file) > -1;
+            });
+        });
+    }
+
+    /**
+     * returns the features affected by a list of changed files
+     * @param {Array<string>} changedFiles - absolute paths of the changed files
+     * @returns {Array<string>} feature file paths, null if every feature should run
+     */
+    getAffectedFeatures(changedFiles) {
+
+        let self = this;
+        let options = this.options;
+        let features = {};
+        let runAll = false;
+
+        let featureFiles = listFiles(options.featureFiles).filter(function (file) {
+            return path.extname(file) === '.feature';
+        });
+
+        let stepFiles = listFiles([options.steps]);
+        let pageObjectFiles = listFiles([options.pageObjects]);
+
+        /**
+         * returns the files whose source references a runtime variable, e.g. page.googleSearch
+         * @param {Array<string>} files - files to search
+         * @param {string} reference - text to look for
+         * @returns {Array<string>} matching files
+         */
+        function findReferences(files, reference) {
+            return files.filter(function (file) {
+                return fs.readFileSync(file, 'utf8').indexOf(reference) > -1;
+            });
+        }
+
+        /**
+         * adds the features affected by a page or shared object
+         * @param {string} name - name of the object, e.g. dir.googleSearch
+         * @param {string} namespace - page or shared
+         * @returns {void}
+         */
+        function addObjectDependents(name, namespace) {
+
+            let reference = namespace + '.' + name;
+            let usingSteps = findReferences(stepFiles, reference);
+
+            // page objects using a shared object affect the steps using those page objects
+            if (namespace === 'shared') {
+                findReferences(pageObjectFiles, reference).forEach(function (file) {
+                    usingSteps = usingSteps.concat(findReferences(stepFiles, 'page.' + getObjectName(file, options.pageObjects)));
+                });
+            }
+            // generic steps refer to page objects by name
+            else {
+                findReferences(featureFiles, '"' + name + '"').forEach(function (feature) {
+                    features[feature] = true;
+                });
+            }
+
+            self.getFeaturesUsingSteps(usingSteps).forEach(function (feature) {
+                features[feature] = true;
+            });
+        }
+
+        changedFiles.forEach(function (file) {
+
+            let sharedObjectsPath = options.sharedObjects.find(function (dir) {
+                return isWithin(file, dir);
+            });
+
+            if (path.extname(file) === '.feature') {
+                if (fs.isFileSync(file)) features[file] = true;
+            }
+            else if (isWithin(file, options.steps)) {
+
+                let usingFeatures = self.getFeaturesUsingSteps([file]);
+
+                // a new (or previously unused) step definition file may define steps any feature is waiting for
+                // (files that no longer exist are usually temporary files written by editors)
+                if (usingFeatures.length === 0 && fs.isFileSync(file)) runAll = true;
+
+                usingFeatures.forEach(function (feature) {
+                    features[feature] = true;
+                });
+            }
+            else if (isWithin(file, options.pageObjects)) {
+                addObjectDependents(getObjectName(file, options.pageObjects), 'page');
+            }
+            else if (sharedObjectsPath) {
+                addObjectDependents(getObjectName(file, sharedObjectsPath), 'shared');
+            }
+            // data files used by @data(file) tags
+            else {
+                findReferences(featureFiles, path.basename(file)).forEach(function (feature) {
+                    features[feature] = true;
+                });
+            }
+        });
+
+        return runAll ? null : Object.keys(features);
+    }
+}
+
+module.exports = {
+
+    clearRequireCache: clearRequireCache,
+
+    fixStackTraceFilter: fixStackTraceFilter,
+
+    /**
+     * runs every feature, then re-runs the affected features whenever a watched file changes (until the process is stopped)
+     * @param {object} options - watch options
+     * @param {Array<string>} options.featureFiles - feature files or directories
+     * @param {string} options.steps - step definitions path
+     * @param {string} options.pageObjects - page objects path
+     * @param {Array<string>} options.sharedObjects - shared objects paths
+     * @param {string} options.reportsPath - reports folder containing cucumber-report.json
+     * @param {Function} options.run - runs cucumber against a list of feature files, returns a promise
+     * @returns {void}
+     */
+    start: function (options) {
+
+        let index = new DependencyIndex(options);
+        let supportPaths = [options.steps, options.pageObjects].concat(options.sharedObjects);
+        let changedFiles = {};
+        let running = false;
+        let timer = null;
+
+        fixStackTraceFilter();
+
+        // feature paths may include line numbers (e.g. from a rerun file)
+        options.featureFiles = options.featureFiles.map(function (item) {
+            return path.resolve(item.replace(/(:\d+)+$/, ''));
+        });
+
+        function run(featureFiles) {
+
+            running = true;
+            clearRequireCache(supportPaths);
+
+            return options.run(featureFiles).catch(function (err) {
+                console.error(err);
+            }).then(function () {
+
+                index.update(path.resolve(options.reportsPath, 'cucumber-report.json'));
+                running = false;
+
+                console.log('\nWatching for changes (press Ctrl+C to stop)...');
+
+                // changes made during the run
+                if (Object.keys(changedFiles).length > 0) {
+                    runChanges();
+                }
+            });
+        }
+
+        function runChanges() {
+
+            let files = Object.keys(changedFiles);
+            let features = index.getAffectedFeatures(files);
+
+            changedFiles = {};
+
+            console.log('\nChanged: ' + files.map(function (file) {
+                return path.relative(process.cwd(), file);
+            }).join(', '));
+
+            if (features && features.length === 0) {
+                console.log('No features affected');
+                return;
+            }
+
+            run(features || options.featureFiles);
+        }
+
+        function onChange(file) {
+
+            changedFiles[file] = true;
+
+            clearTimeout(timer);
+
+            timer = setTimeout(function () {
+                if (!running) runChanges();
+            }, DEBOUNCE_DELAY);
+        }
+
+        // fs.watch is not recursive on every platform, so every directory is watched
+        options.featureFiles.concat(supportPaths).forEach(function (item) {
+
+            let dirs = fs.isDirectorySync(item) ? [item].concat(fs.listTreeSync(item).filter(function (file) {
+                return fs.isDirectorySync(file);
+            })) : [path.dirname(item)];
+
+            dirs.forEach(function (dir) {
+                if (!fs.isDirectorySync(dir)) return;
+
+                fs.watch(dir, function (eventType, fileName) {
+                    if (fileName) onChange(path.resolve(dir, fileName.toString()));
+                });
+            });
+        });
+
+        // close the browser kept open between runs
+        process.on('SIGINT', function () {
+
+            let quit = global.driver ? global.driver.quit() : Promise.resolve();
+
+            quit.catch(function () {}).then(function () {
+                process.exit(0);
+            });
+        });
+
+        run(options.featureFiles);
+    }
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * windows.js keeps track of the window and frames each driver was switched to by the helpers, so they can switch
+ * back once done (helpers.withinFrame, helpers.waitForNewWindow etc) and world.js can return a browser kept open
+ * between scenarios to its main window. Frames entered with driver.switchTo() directly are not tracked.
+ */
+
+const { By, until } = require('selenium-webdriver');
+
+// context of every driver: its main window and the frames entered within the current window (outermost first)
+const contexts = new WeakMap();
+
+/**
+ * returns the context of a driver
+ * @param {ThenableWebDriver} driver - selenium web driver
+ * @returns {{mainWindow: string, frames: Array}} context
+ */
+function getContext(driver) {
+
+    let context = contexts.get(driver);
+
+    if (!context) {
+        context = { mainWindow: null, frames: [] };
+        contexts.set(driver, context);
+    }
+
+    return context;
+}
+
+/**
+ * switches to a frame of the current document, waiting for it to be present
+ * @param {ThenableWebDriver} driver - selenium web driver
+ * @param {(number|string|By|ElementHandle|WebElement)} frame - index, css selector or element of the frame
+ * @param {number} timeout - milliseconds to wait for the frame
+ * @returns {Promise} resolves once switched
+ */
+function switchToFrame(driver, frame, timeout) {
+
+    let locator = (typeof frame === 'string') ? By.css(frame) : frame;
+
+    return driver.wait(until.ableToSwitchToFrame(locator), timeout, 'Could not switch to frame ' + ((frame && frame.name) || frame) + ' after ' + timeout + ' milliseconds');
+}
+
+/**
+ * records the window the driver started with, the window scenarios return to
+ * @param {ThenableWebDriver} driver - selenium web driver
+ * @returns {Promise} resolves with the current window handle
+ */
+async function recordMainWindow(driver) {
+
+    let context = getContext(driver);
+    let handle = await driver.getWindowHandle();
+
+    context.mainWindow = context.mainWindow || handle;
+
+    return handle;
+}
+
+module.exports = {
+
+    /**
+     * returns the current window and frames of a driver, to switch back to them with restore()
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {boolean} [includeWindow] - true to also record the current window (needed before switching windows)
+     * @returns {Promise} resolves with { handle, frames }
+     */
+    save: async function (driver, includeWindow) {
+
+        let handle = (includeWindow) ? await recordMainWindow(driver) : null;
+
+        return { handle: handle, frames: getContext(driver).frames.slice() };
+    },
+
+    /**
+     * switches back to a window and frames returned by save()
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {{handle: string, frames: Array}} saved - window and frames to switch to
+     * @param {number} timeout - milliseconds to wait for every frame
+     * @returns {Promise} resolves once switched
+     */
+    restore: async function (driver, saved, timeout) {
+
+        let context = getContext(driver);
+
+        if (saved.handle) {
+            await driver.switchTo().window(saved.handle);
+        }
+
+        // frames are entered again from the top of the page as selenium cannot switch to the parent frame
+        await driver.switchTo().defaultContent();
+        context.frames = [];
+
+        for (let i = 0; i < saved.frames.length; i++) {
+            await module.exports.enterFrame(driver, saved.frames[i], timeout);
+        }
+    },
+
+    /**
+     * switches to a frame of the current frame
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {(number|string|By|ElementHandle|WebElement)} frame - index, css selector or element of the frame
+     * @param {number} timeout - milliseconds to wait for the frame
+     * @returns {Promise} resolves once switched
+     */
+    enterFrame: async function (driver, frame, timeout) {
+
+        await switchToFrame(driver, frame, timeout);
+
+        getContext(driver).frames.push(frame);
+    },
+
+    /**
+     * runs an action that opens a window (or tab) and switches to the new window
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {function} action - returns a promise once the window is being opened, e.g. by clicking a link
+     * @param {number} timeout - milliseconds to wait for the window
+     * @returns {Promise} resolves with the handle of the new window
+     */
+    switchToNewWindow: async function (driver, action, timeout) {
+
+        await recordMainWindow(driver);
+
+        let handles = await driver.getAllWindowHandles();
+
+        await action();
+
+        let handle = await driver.wait(async function () {
+
+            let newHandles = await driver.getAllWindowHandles();
+
+            return newHandles.find(function (item) {
+                return handles.indexOf(item) < 0;
+            });
+        }, timeout, 'No new window opened after ' + timeout + ' milliseconds');
+
+        await driver.switchTo().window(handle);
+        getContext(driver).frames = [];
+
+        return handle;
+    },
+
+    /**
+     * switches to the first window matching a condition, waiting for it to open
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {function} matches - returns true if a window matches, called with its title and url
+     * @param {string} description - description of the window, used in the error message
+     * @param {number} timeout - milliseconds to wait for the window
+     * @returns {Promise} resolves with the handle of the window, otherwise rejects (staying on the current window)
+     */
+    switchToWindow: async function (driver, matches, description, timeout) {
+
+        let saved = await module.exports.save(driver, true);
+
+        try {
+            let handle = await driver.wait(async function () {
+
+                let handles = await driver.getAllWindowHandles();
+
+                for (let i = 0; i < handles.length; i++) {
+
+                    await driver.switchTo().window(handles[i]);
+
+                    if (matches(await driver.getTitle(), await driver.getCurrentUrl())) {
+                        return handles[i];
+                    }
+                }
+
+                return null;
+            }, timeout, 'No window with ' + description + ' after ' + timeout + ' milliseconds');
+
+            getContext(driver).frames = [];
+
+            return handle;
+        }
+        catch (err) {
+            await module.exports.restore(driver, saved, timeout);
+            throw err;
+        }
+    },
+
+    /**
+     * closes every window other than the current one
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @param {number} timeout - milliseconds to wait for the frames of the current window
+     * @returns {Promise} resolves with the number of windows closed
+     */
+    closeOtherWindows: async function (driver, timeout) {
+
+        let saved = await module.exports.save(driver, true);
+        let handles = await driver.getAllWindowHandles();
+        let closed = 0;
+
+        for (let i = 0; i < handles.length; i++) {
+            if (handles[i] !== saved.handle) {
+                await driver.switchTo().window(handles[i]);
+                await driver.close();
+                closed++;
+            }
+        }
+
+        // the window kept open becomes the main window
+        getContext(driver).mainWindow = saved.handle;
+
+        if (closed > 0) {
+            await module.exports.restore(driver, saved, timeout);
+        }
+
+        return closed;
+    },
+
+    /**
+     * returns a browser kept open between scenarios to its main window and the top of the page, closing the other windows
+     * @param {ThenableWebDriver} driver - selenium web driver
+     * @returns {Promise} resolves once reset
+     */
+    reset: async function (driver) {
+
+        let context = getContext(driver);
+        let handles = await driver.getAllWindowHandles();
+
+        // the main window may have been closed by the scenario
+        let mainWindow = (handles.indexOf(context.mainWindow) > -1) ? context.mainWindow : handles[0];
+
+        for (let i = 0; i < handles.length; i++) {
+            if (handles[i] !== mainWindow) {
+                await driver.switchTo().window(handles[i]);
+                await driver.close();
+            }
+        }
+
+        if (mainWindow) {
+            await driver.switchTo().window(mainWindow);
+            await driver.switchTo().defaultContent();
+        }
+
+        context.mainWindow = mainWindow || null;
+        context.frames = [];
+    }
+};
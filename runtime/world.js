@@ -10,13 +10,16 @@ const path = require('path');
 const requireDir = require('require-dir');
 const merge = require('merge');
 const chalk = require('chalk');
+const ElementHandle = require('./elementHandle.js');
+const diagnostics = require('./diagnostics.js');
+const timeline = require('./timeline.js');
+const reporting = require('./reporting.js');
 const { By, Key, until } = require('selenium-webdriver');
 const chai = require("chai");
 const chaiAsPromised = require("chai-as-promised");
 chai.use(chaiAsPromised);
 
-const reporter = require('cucumber-html-reporter');
-const { setDefaultTimeout, BeforeAll, Before, After, AfterAll, Status, Given, When, Then  } = require('cucumber');
+const { setDefaultTimeout, setDefinitionFunctionWrapper, supportCodeLibraryBuilder, BeforeAll, Before, After, AfterAll, Status, Given, When, Then  } = require('cucumber');
 
 // Initialize the eyes SDK and set your private API key.
 const Eyes = require('eyes.selenium').Eyes;
@@ -25,11 +28,19 @@ const Eyes = require('eyes.selenium').Eyes;
 const FireFoxDriver = require('./firefoxDriver.js');
 const ElectronDriver = require('./electronDriver.js');
 const ChromeDriver = require('./chromeDriver');
+const RemoteDriver = require('./remoteDriver.js');
+
+const MockServer = require('./mockServer.js');
+const devices = require('./devices.js');
+const driverConfig = require('./driverConfig.js');
+const Sessions = require('./sessions.js');
+const windows = require('./windows.js');
+const downloads = require('./downloads.js');
 
 // List of variables to expose globally and therefore accessible within each step definition
 const runtime = {
-    driver: null,               // the browser object
-    eyes: null,
+    driver: global.driver || null,  // the browser object (kept between runs in watch mode)
+    eyes: global.eyes || null,
     Given: Given,               // global operations for Cucumber
     When: When,                 // 
     Then: Then,                 //    
@@ -43,7 +54,10 @@ const runtime = {
     assert: chai.assert,        // expose chai assert to allow variable testing
     trace: consoleInfo,         // expose an info method to log output to the console in a readable/visible format
     page: global.page || {},    // empty page objects placeholder
-    shared: global.shared || {} // empty shared objects placeholder
+    shared: global.shared || {}, // empty shared objects placeholder
+    mockServer: global.mockServer || null, // local HTTP server stubbing backend APIs (started when mock routes are defined)
+    sessions: global.sessions || new Sessions(createDriver), // named browser sessions within a scenario (e.g. two users chatting)
+    env: global.env || {}       // selected environment profile (name, baseUrl, credentials etc)
 };
 
 // expose properties to step definition methods via global variables
@@ -53,43 +67,182 @@ Object.keys(runtime).forEach(function (key) {
     global[key] = runtime[key];
 });
 
+// register the bundled generic steps (after the globals they depend on have been created)
+if (global.genericSteps) {
+    require('./genericSteps.js');
+}
+
 /**
- * create the selenium browser based on global let set in index.js
- * @returns {ThenableWebDriver} selenium web driver
+ * returns the launch options of a built-in browser, the --headless switch and the browser configuration
+ * of the scenario take precedence over the browserOptions section of the config file
+ * @param {string} name - name of the browser (chrome, firefox, electron)
+ * @param {object} config - browser configuration of the scenario (see driverConfig.js)
+ * @param {string} [downloadsDirectory] - folder the browser saves downloads to
+ * @returns {object} launch options passed to the driver
  */
-function getDriverInstance() {
+function getBrowserOptions(name, config, downloadsDirectory) {
 
-    let driver;
+    let options = Object.assign({}, (global.browserOptions || {})[name]);
 
-    switch (browserName || '') {
+    if (global.headless) {
+        options.headless = true;
+    }
+
+    if (config.windowSize) {
+        options.windowSize = config.windowSize;
+    }
 
-        case 'firefox': {
-            driver = new FireFoxDriver();
+    // chrome emulates the device, other browsers get a window of the size of the device
+    if (config.device) {
+        if (name === 'chrome') {
+            options.mobileEmulation = devices.toMobileEmulation(config.device);
+        }
+        else {
+            options.windowSize = { width: config.device.width, height: config.device.height };
         }
-            break;
+    }
+
+    if (config.locale) {
+        options.prefs = Object.assign({}, options.prefs, { 'intl.accept_languages': config.locale });
+
+        if (name !== 'firefox') {
+            options.args = (options.args || []).concat('lang=' + config.locale);
+        }
+    }
+
+    // prefs of the config file take precedence, e.g. to download other file types without asking
+    if (downloadsDirectory) {
+        options.prefs = Object.assign(downloads.getBrowserPrefs(name, downloadsDirectory), options.prefs);
+    }
+
+    return options;
+}
+
+/**
+ * returns true if the browser is one of the built-in drivers, which are given launch options
+ * @param {object} config - browser configuration
+ * @returns {boolean} true if built-in
+ */
+function isBuiltInBrowser(config) {
+    return !global.remoteUrl && ['chrome', 'firefox', 'electron'].indexOf(config.browser) > -1;
+}
+
+/**
+ * returns true if the browser emulates devices, other browsers only get a window of the size of the device
+ * @param {object} config - browser configuration
+ * @returns {boolean} true if emulated
+ */
+function isDeviceEmulated(config) {
+    return !global.remoteUrl && config.browser === 'chrome';
+}
+
+/**
+ * returns the browser configuration of a scenario, the tags of the scenario override the global options
+ * @param {object} scenario - scenario passed to the Before hook
+ * @returns {object} browser configuration (see driverConfig.js)
+ */
+function getScenarioDriverConfig(scenario) {
+
+    return driverConfig.getScenarioConfig(scenario.pickle.tags.map(function (tag) {
+        return tag.name;
+    }), {
+        browser: global.browserName,
+        device: global.device,
+        windowSize: global.windowSize,
+        locale: global.locale,
+        teardown: browserTeardownStrategy,
+        customDevices: global.customDevices
+    });
+}
+
+/**
+ * returns a browser matching the configuration of a scenario: the browser kept open by the previous scenario
+ * if it was started with the same configuration, otherwise a new browser (closing the one kept open)
+ * @param {object} config - browser configuration of the scenario (see driverConfig.js)
+ * @returns {Promise} resolves with the selenium web driver
+ */
+async function getDriverInstance(config) {
 
-        case 'electron': {
-            driver = new ElectronDriver();
+    if (global.driver) {
+
+        if (!config.fresh && driverConfig.isSameBrowser(global.browserConfig, config)) {
+            return global.driver;
         }
-            break;
 
-        case 'chrome': {
-            driver = new ChromeDriver();
+        await closeBrowser();
+    }
+
+    let driver = await createDriver(config);
+
+    global.browserConfig = config;
+
+    return driver;
+}
+
+/**
+ * creates a selenium browser for a browser configuration
+ * @param {object} config - browser configuration (see driverConfig.js)
+ * @returns {Promise} resolves with the selenium web driver
+ */
+async function createDriver(config) {
+
+    let driver;
+    let downloadsDirectory = null;
+
+    // a remote selenium server/grid takes precedence over the local drivers
+    if (global.remoteUrl) {
+        driver = new RemoteDriver(global.remoteUrl, (config.browser !== global.browserName)
+            ? Object.assign({}, global.capabilities, { browserName: config.browser })
+            : global.capabilities);
+    }
+    else {
+
+        // the built-in chrome and firefox save downloads to their own folder of the reports (see helpers.waitForDownload)
+        if (config.browser === 'chrome' || config.browser === 'firefox') {
+            downloadsDirectory = downloads.createDirectory(global.reportsPath);
         }
-            break;
 
-        // try to load from file
-        default: {
-            let driverFileName = path.resolve(process.cwd(), browserName);
+        switch (config.browser || '') {
+
+            case 'firefox': {
+                driver = new FireFoxDriver(getBrowserOptions('firefox', config, downloadsDirectory));
+            }
+                break;
+
+            case 'electron': {
+                driver = new ElectronDriver(getBrowserOptions('electron', config));
+            }
+                break;
 
-            if (!fs.isFileSync(driverFileName)) {
-                throw new Error('Could not find driver file: ' + driverFileName);
+            case 'chrome': {
+                driver = new ChromeDriver(getBrowserOptions('chrome', config, downloadsDirectory));
             }
+                break;
+
+            // try to load from file
+            default: {
+                let driverFileName = path.resolve(process.cwd(), config.browser);
 
-            driver = require(driverFileName)();
+                if (!fs.isFileSync(driverFileName)) {
+                    throw new Error('Could not find driver file: ' + driverFileName);
+                }
+
+                driver = require(driverFileName)();
+            }
         }
     }
 
+    // remote and custom drivers are not given launch options, so only their window can be resized
+    let size = config.device || config.windowSize;
+
+    if (size && !isBuiltInBrowser(config)) {
+        await driver.manage().window().setSize(size.width, size.height);
+    }
+
+    if (downloadsDirectory) {
+        downloads.register(driver, downloadsDirectory);
+    }
+
     return driver;
 }
 
@@ -122,9 +275,9 @@ function consoleInfo() {
 
 /**
  * Import shared objects, pages object and helpers into global scope
- * @returns {void}
+ * @returns {Promise} resolves once imported (and the mock server started)
  */
-function importSupportObjects() {
+async function importSupportObjects() {
 
     // import shared objects from multiple paths (after global vars have been created)
     if (global.sharedObjectPaths && Array.isArray(global.sharedObjectPaths) && global.sharedObjectPaths.length > 0) {
@@ -150,29 +303,388 @@ function importSupportObjects() {
         }
     }
 
+    // add helpers
+    global.helpers = require('../runtime/helpers.js');
+
+    // start the mock server before page objects are loaded so they can use its url
+    await startMockServer();
+
     // import page objects (after global vars have been created)
     if (global.pageObjectPath && fs.existsSync(global.pageObjectPath)) {
 
         // require all page objects using their names as object names
         global.page = requireDir(global.pageObjectPath, { recurse: true });
+
+        preparePageObjects(global.page);
     }
+}
 
-    // add helpers
-    global.helpers = require('../runtime/helpers.js');
+
+/**
+ * Resolves the url of every page object against the baseUrl of the selected environment
+ * and wraps their elements maps into lazy element handles
+ * @param {object} pageObjects - page objects keyed by filename (sub directories are nested objects)
+ * @returns {void}
+ */
+function preparePageObjects(pageObjects) {
+
+    Object.keys(pageObjects).forEach(function (key) {
+
+        let pageObject = pageObjects[key];
+
+        if (!pageObject || typeof pageObject !== 'object') return;
+
+        let isPageObject = false;
+
+        if (typeof pageObject.url === 'string') {
+            pageObject.url = helpers.resolveUrl(pageObject.url);
+            isPageObject = true;
+        }
+
+        if (pageObject.elements && typeof pageObject.elements === 'object') {
+            pageObject.elements = ElementHandle.wrapElements(pageObject.elements);
+            isPageObject = true;
+        }
+
+        // otherwise a sub directory of page objects
+        if (!isPageObject) {
+            preparePageObjects(pageObject);
+        }
+    });
+}
+
+
+/**
+ * Starts the mock server when mock routes are defined in shared objects (shared.mocks by default)
+ * or a mockServer section exists in the config file
+ * @returns {Promise} resolves once started
+ */
+async function startMockServer() {
+
+    let options = global.mockServerOptions || {};
+    let routes = global.shared[options.routes || 'mocks'];
+
+    // watch mode keeps the server running between runs, only the routes are reloaded
+    if (global.mockServer) {
+        global.mockServer.setRoutes(MockServer.collectRoutes(routes));
+        return;
+    }
+
+    if (!routes && !global.mockServerOptions) return;
+
+    global.mockServer = new MockServer(MockServer.collectRoutes(routes));
+
+    await global.mockServer.start(options.port);
 }
 
 
 async function closeBrowser() {
     await driver.quit();
+    global.driver = null;
+}
+
+
+// number of attempts of each scenario keyed by uri:line (incremented every time a scenario is retried)
+const scenarioAttempts = {};
+
+/**
+ * Counts the attempts of a scenario and records the outcome of scenarios that were retried in global.retryResults,
+ * used by index.js to flag flaky scenarios in the reports
+ * @param {object} scenario - scenario passed to the After hook
+ * @returns {object} the retry result once a retried scenario has finished its last attempt, otherwise null
+ */
+function recordAttempt(scenario) {
+
+    let key = scenario.sourceLocation.uri + ':' + scenario.sourceLocation.line;
+
+    scenarioAttempts[key] = (scenarioAttempts[key] || 0) + 1;
+
+    if (scenario.result.retried || scenarioAttempts[key] === 1) {
+        return null;
+    }
+
+    let retryResult = {
+        uri: scenario.sourceLocation.uri,
+        line: scenario.sourceLocation.line,
+        name: scenario.pickle.name,
+        attempts: scenarioAttempts[key],
+        flaky: scenario.result.status === Status.PASSED
+    };
+
+    global.retryResults = global.retryResults || [];
+    global.retryResults.push(retryResult);
+
+    return retryResult;
 }
 
 
-function teardownBrowser() {
-    switch (browserTeardownStrategy) {
+/**
+ * Reads the browser console log of the active session into global.browserLogs, keyed by session name
+ * (reading the log empties it within the browser)
+ * @returns {Promise} resolves with the entries read, or null if the browser does not support it
+ */
+async function collectBrowserLogs() {
+
+    let entries = await diagnostics.readBrowserLogs(driver);
+
+    if (entries) {
+        global.browserLogs[sessions.active] = (global.browserLogs[sessions.active] || []).concat(entries);
+    }
+
+    return entries;
+}
+
+
+/**
+ * Executed after every step definition. Fails the step if the browser logged a severe console error
+ * and failOnConsoleErrors is enabled
+ * @returns {Promise} resolves once done, rejects to fail the step
+ */
+async function afterStep() {
+
+    if (!global.failOnConsoleErrors || !global.driver) return;
+
+    let entries = await collectBrowserLogs();
+    let severe = (entries || []).filter(diagnostics.isSevere);
+
+    if (severe.length > 0) {
+        throw new Error('Browser console errors:\n' + diagnostics.formatLogEntries(severe));
+    }
+}
+
+
+/**
+ * Executed once a step has passed or failed. In each-step screenshot mode attaches a screenshot and the duration
+ * of the step to the report and adds the step to the timeline of the scenario (never fails the step)
+ * @param {object} world - cucumber world of the scenario
+ * @param {number} startTime - time the step started
+ * @param {Error} [err] - error the step failed with
+ * @returns {Promise} resolves once captured
+ */
+async function captureStep(world, startTime, err) {
+
+    if (!global.stepTimeline) return;
+
+    let duration = Date.now() - startTime;
+    let index = ++global.stepTimeline.stepCount;
+
+    if (!global.driver) return;
+
+    try {
+        let screenShot = Buffer.from(await driver.takeScreenshot(), 'base64');
+
+        world.attach(screenShot, 'image/png');
+        world.attach('Step duration: ' + timeline.formatDuration(duration), 'text/plain');
+
+        global.stepTimeline.frames.push({
+            index: index,
+            status: err ? Status.FAILED : Status.PASSED,
+            duration: duration,
+            file: timeline.writeFrame(global.reportsPath, global.stepTimeline.folder, index, screenShot)
+        });
+    }
+    catch (captureErr) {
+        world.attach('Unable to capture step screenshot: ' + captureErr.message, 'text/plain');
+    }
+}
+
+
+/**
+ * Wraps a step definition so afterStep and captureStep are executed once it completes (supports promise and callback steps)
+ * @param {Function} fn - step definition code
+ * @returns {Function} wrapped step definition
+ */
+function wrapStepDefinition(fn) {
+
+    return function () {
+
+        let world = this;
+        let args = [].slice.call(arguments);
+        let startTime = Date.now();
+
+        // cucumber passes a callback when the step definition declares one more parameter than the step has
+        if (args.length === fn.length && typeof args[args.length - 1] === 'function') {
+
+            let callback = args.pop();
+
+            return fn.apply(world, args.concat(function (err, result) {
+
+                let completed = err ? Promise.reject(err) : afterStep.call(world);
+
+                completed.then(function () {
+                    return captureStep(world, startTime).then(function () {
+                        callback(null, result);
+                    });
+                }, function (stepErr) {
+                    return captureStep(world, startTime, stepErr).then(function () {
+                        callback(stepErr);
+                    });
+                });
+            }));
+        }
+
+        return new Promise(function (resolve) {
+            resolve(fn.apply(world, args));
+        }).then(function (result) {
+            return afterStep.call(world).then(function () {
+                return result;
+            });
+        }).then(function (result) {
+            return captureStep(world, startTime).then(function () {
+                return result;
+            });
+        }, function (err) {
+            return captureStep(world, startTime, err).then(function () {
+                throw err;
+            });
+        });
+    };
+}
+
+
+/**
+ * Attaches the timeline of the steps captured in each-step screenshot mode to the report,
+ * optionally stitched into an animated GIF
+ * @param {object} world - cucumber world of the scenario
+ * @param {object} scenario - scenario passed to the After hook
+ * @returns {void}
+ */
+function attachTimeline(world, scenario) {
+
+    let frames = global.stepTimeline.frames;
+
+    if (frames.length === 0) return;
+
+    // steps run in order and stop at the first failure, so the step count is the position of the step in the pickle
+    frames.forEach(function (frame) {
+        frame.name = scenario.pickle.steps[frame.index - 1].text;
+    });
+
+    let animation = null;
+
+    if (global.screenshotAnimation) {
+        try {
+            animation = timeline.writeAnimation(global.reportsPath, global.stepTimeline.folder, frames);
+        }
+        catch (err) {
+            world.attach('Unable to create animated timeline: ' + err.message, 'text/plain');
+        }
+    }
+
+    world.attach(timeline.renderTimeline(frames, animation), 'text/html');
+}
+
+
+/**
+ * Attaches the information used to diagnose a failed scenario to the report, as enabled in global.failureCapture,
+ * for every open browser session
+ * @param {object} world - cucumber world of the scenario
+ * @returns {Promise} resolves once attached
+ */
+async function attachFailureDetails(world) {
+
+    let capture = global.failureCapture || {};
+    let activeSession = sessions.active;
+    let names = sessions.list();
+    let screenshots = [];
+
+    async function attachSafely(description, fn) {
+        try {
+            await fn();
+        }
+        catch (err) {
+            world.attach('Unable to capture ' + description + ': ' + err.message, 'text/plain');
+        }
+    }
+
+    for (let i = 0; i < names.length; i++) {
+
+        // label the details of each session when the scenario used several
+        let label = (names.length > 1) ? 'Session ' + names[i] + ' - ' : '';
+
+        sessions.use(names[i]);
+
+        if (capture.screenshot) {
+            await attachSafely(label + 'screenshot', async function () {
+                screenshots.push({ label: 'Session ' + names[i], image: await driver.takeScreenshot() });
+            });
+        }
+
+        if (capture.url) {
+            await attachSafely(label + 'url', async function () {
+                world.attach(label + 'URL: ' + await driver.getCurrentUrl(), 'text/plain');
+            });
+        }
+
+        if (capture.consoleLog || capture.networkErrors) {
+            await attachSafely(label + 'browser log', async function () {
+
+                // not supported by every browser
+                if (!await collectBrowserLogs()) return;
+
+                let entries = global.browserLogs[names[i]];
+
+                if (capture.consoleLog) {
+                    world.attach(label + 'Browser console log:\n' + diagnostics.escapeHtml(diagnostics.formatLogEntries(entries) || '(empty)'), 'text/plain');
+                }
+
+                if (capture.networkErrors) {
+                    let networkErrors = entries.filter(diagnostics.isNetworkError);
+                    world.attach(label + 'Failed network requests:\n' + diagnostics.escapeHtml(diagnostics.formatLogEntries(networkErrors) || '(none)'), 'text/plain');
+                }
+            });
+        }
+
+        if (capture.pageSource) {
+            await attachSafely(label + 'page source', async function () {
+                world.attach(label + 'Page source:\n' + diagnostics.escapeHtml(await driver.getPageSource()), 'text/plain');
+            });
+        }
+
+        await attachSafely(label + 'downloads', async function () {
+
+            // moved aside so they are kept when the browser is kept open for the next scenario
+            let files = downloads.keepFiles(driver);
+
+            if (capture.downloads && files) {
+                world.attach(label + 'Downloaded files:\n' + files, 'text/plain');
+            }
+        });
+    }
+
+    sessions.use(activeSession);
+
+    // the HTML report only shows the last image attached to a step, so the screenshots of several sessions are combined
+    if (screenshots.length === 1) {
+        world.attach(Buffer.from(screenshots[0].image, 'base64'), 'image/png');
+    }
+    else if (screenshots.length > 1) {
+        world.attach(diagnostics.renderImages(screenshots), 'text/html');
+    }
+}
+
+
+/**
+ * closes the browser, clears its cookies and storage or keeps it open after a scenario (on its main window)
+ * @param {string} strategy - teardown strategy of the scenario (always, clear or none)
+ * @returns {Promise} resolves once done
+ */
+function teardownBrowser(strategy) {
+    if (!global.driver) {
+        return Promise.resolve();
+    }
+
+    // browsers kept open go back to their main window and the top of the page, closing the windows opened by the scenario,
+    // and their download folder is emptied for the next scenario
+    switch (strategy) {
         case 'none':
-            return Promise.resolve();
+            downloads.reset(driver);
+            return windows.reset(driver);
         case 'clear':
-            return helpers.clearCookiesAndStorages();
+            downloads.reset(driver);
+            return windows.reset(driver).then(function () {
+                return helpers.clearCookiesAndStorages();
+            });
         default:
             return closeBrowser(driver);
     }
@@ -182,16 +694,74 @@ function teardownBrowser() {
 setDefaultTimeout(global.DEFAULT_TIMEOUT);
 
 
+// wrap step definitions (but not hooks) so the browser can be checked after every step
+setDefinitionFunctionWrapper(function (fn) {
+
+    let isStepDefinition = supportCodeLibraryBuilder.options.stepDefinitions.some(function (stepDefinition) {
+        return stepDefinition.code === fn;
+    });
+
+    return isStepDefinition ? wrapStepDefinition(fn) : fn;
+});
+
+
 //import all required components
-BeforeAll(function () {
-    importSupportObjects();
+BeforeAll(async function () {
+    await importSupportObjects();
 });
 
 
 // create the driver and applitools eyes before scenario if it's not instantiated
-Before(async function () {
-    if (!global.driver || browserTeardownStrategy === 'always') {
-        global.driver = await getDriverInstance();
+Before(async function (scenario) {
+    // browser, device, window size, locale and teardown of the scenario (global options overridden by its tags),
+    // cleared first so the After hook never tears down with the configuration of the previous scenario
+    global.scenarioConfig = null;
+
+    // allow helpers and page objects to attach files to the current scenario
+    global.attach = this.attach;
+
+    // screenshots of every step of the current scenario (each-step screenshot mode)
+    global.stepTimeline = (global.screenshots === 'each-step') ? {
+        folder: timeline.createScenarioFolder(global.reportsPath, scenario),
+        stepCount: 0,
+        frames: []
+    } : null;
+
+    // browser console log entries of the current scenario, keyed by session name
+    global.browserLogs = {};
+
+    let config = getScenarioDriverConfig(scenario);
+    let previousDriver = global.driver;
+    let capture = global.failureCapture || {};
+
+    global.scenarioConfig = config;
+    global.driver = await getDriverInstance(config);
+
+    if (global.driver !== previousDriver) {
+        if (global.remoteUrl) {
+            global.remoteSession = await RemoteDriver.getSessionInfo(global.driver, global.remoteUrl);
+        }
+    }
+    else if (global.failOnConsoleErrors || capture.consoleLog || capture.networkErrors) {
+        // discard what the previous scenario logged in the browsers that were kept open (one per session)
+        let names = sessions.list();
+
+        for (let i = 0; i < names.length; i++) {
+            sessions.use(names[i]);
+            await diagnostics.readBrowserLogs(driver);
+        }
+
+        sessions.use(Sessions.DEFAULT_SESSION);
+    }
+
+    // show which device the scenario ran on in the report
+    if (config.device) {
+        this.attach('Device: ' + devices.describe(config.device, isDeviceEmulated(config)), 'text/plain');
+    }
+
+    // show which grid session/node ran the scenario in the report
+    if (global.remoteUrl && global.remoteSession) {
+        this.attach('Remote session: ' + global.remoteSession.sessionId + '\nNode: ' + (global.remoteSession.node || 'unknown'), 'text/plain');
     }
 
     if (!global.eyes) {
@@ -202,50 +772,73 @@ Before(async function () {
 
 // executed after each scenario (always closes the browser to ensure fresh tests)
 After(async function (scenario) {
-    if (scenario.result.status === Status.FAILED && !global.noScreenshot) {
-        // add a screenshot to the error report
-        let screenShot = await driver.takeScreenshot();    
-        this.attach(new Buffer(screenShot, 'base64'), 'image/png');
-        await teardownBrowser();
+    // the Before hook may have failed before working out the configuration of the scenario
+    let teardown = (global.scenarioConfig) ? global.scenarioConfig.teardown : browserTeardownStrategy;
+
+    if (scenario.result.status === Status.FAILED) {
+        // add a screenshot, the console log, page source etc to the error report
+        await attachFailureDetails(this);
+        await sessions.teardown(teardown);
+        await teardownBrowser(teardown);
         if (eyes) {
             // If the test was aborted before eyes.close was called ends the test as aborted.
             await eyes.abortIfNotClosed();
         }
     } else {
-         await teardownBrowser();
+         await sessions.teardown(teardown);
+         await teardownBrowser(teardown);
     }
-});
 
+    if (global.stepTimeline) {
+        attachTimeline(this, scenario);
+    }
 
-//import all required components
-BeforeAll(function () {
-    importSupportObjects();
+    // remove the stubs added by the scenario
+    if (global.mockServer) {
+        mockServer.reset();
+    }
+
+    let retryResult = recordAttempt(scenario);
+
+    if (retryResult) {
+        this.attach(retryResult.flaky
+            ? 'Flaky: passed on attempt ' + retryResult.attempts
+            : 'Failed after ' + retryResult.attempts + ' attempts', 'text/plain');
+    }
+
+    // a scenario that is about to be retried always gets a fresh browser
+    if (scenario.result.retried) {
+        await sessions.closeAll();
+
+        if (global.driver) {
+            await closeBrowser();
+        }
+    }
 });
 
 
-//generate report after all features
+// close the browser kept open between scenarios and write the accessibility audits and performance metrics of the run
+// (reports are generated by index.js once cucumber has written them)
 AfterAll(async function () {
 
-    if (browserTeardownStrategy !== 'always') {
-        await closeBrowser();
-    }
-    
-    var cucumberReportPath = path.resolve(global.reportsPath, 'cucumber-report.json');
+    // watch mode reuses the browser and mock server for the next run
+    if (!global.watch) {
+        await sessions.closeAll();
 
-    if (global.reportsPath && fs.existsSync(global.reportsPath)) {
+        if (global.driver) {
+            await closeBrowser();
+        }
 
-        // generate the HTML report
-        var reportOptions = {
-            theme: 'bootstrap',
-            jsonFile: cucumberReportPath,
-            output: path.resolve(global.reportsPath, 'cucumber-report.html'),
-            reportSuiteAsScenarios: true,
-            launchReport: (global.enableLaunchReport),
-            ignoreBadJsonFile: true
-        };
+        downloads.removeEmptyDirectories(global.reportsPath);
+    }
+
+    if (global.mockServer && !global.watch) {
+        await mockServer.stop();
+    }
 
-        setTimeout(() => {
-            reporter.generate(reportOptions);
-        }, 1000);
+    // a dry run leaves the reports of the last run untouched
+    if (!global.dryRun) {
+        reporting.writeAccessibilityReport(path.resolve(global.reportsPath, 'accessibility-report.json'), global.accessibilityAudits);
+        reporting.writePerformanceReport(path.resolve(global.reportsPath, 'performance-report.json'), global.performanceEntries);
     }
 });